@@ -7,9 +7,11 @@ const distRoot = path.resolve(__dirname, '..', 'dist');
 const items = [
   { src: path.join(distRoot, 'src/popup/index.html'), destDir: path.join(distRoot, 'popup'), dest: 'index.html' },
   { src: path.join(distRoot, 'src/options/index.html'), destDir: path.join(distRoot, 'options'), dest: 'index.html' },
+  { src: path.join(distRoot, 'src/blocked/index.html'), destDir: path.join(distRoot, 'blocked'), dest: 'index.html' },
   // if the plugin already copied into dist/popup, patch that too
   { src: path.join(distRoot, 'popup/index.html'), destDir: path.join(distRoot, 'popup'), dest: 'index.html' },
-  { src: path.join(distRoot, 'options/index.html'), destDir: path.join(distRoot, 'options'), dest: 'index.html' }
+  { src: path.join(distRoot, 'options/index.html'), destDir: path.join(distRoot, 'options'), dest: 'index.html' },
+  { src: path.join(distRoot, 'blocked/index.html'), destDir: path.join(distRoot, 'blocked'), dest: 'index.html' }
 ];
 
 for (const it of items) {
@@ -0,0 +1,84 @@
+/* global process */
+// Fixtures for the PII scrubber, run by `npm test`. Prints what scrubPii()
+// makes of each sample and fails when one no longer matches its expected
+// output. The "kept" fixtures must come through unchanged.
+import { scrubPii } from "../src/utils/piiScrubber.js";
+
+const PII_FIXTURES = [
+    {
+        name: "Email address",
+        input: "Signed in as jane.doe+news@example.co.uk - Inbox (3)",
+        expected: "Signed in as [email] - Inbox (3)",
+    },
+    {
+        name: "US phone numbers",
+        input: "Call (415) 555-0132 or 415.555.0199 today",
+        expected: "Call [phone] or [phone] today",
+    },
+    {
+        name: "International phone number",
+        input: "Support: +44 20 7946 0958, weekdays",
+        expected: "Support: [phone], weekdays",
+    },
+    {
+        name: "Labelled national phone number",
+        input: "Tel: 020 7946 0958 | Mobile 07700 900123",
+        expected: "Tel: [phone] | Mobile [phone]",
+    },
+    {
+        name: "Card numbers",
+        input: "Visa 4111 1111 1111 1111 and Amex 3782-822463-10005 on file",
+        expected: "Visa [card] and Amex [card] on file",
+    },
+    {
+        name: "IBANs",
+        input: "Pay to GB82 WEST 1234 5698 7654 32 or DE89370400440532013000",
+        expected: "Pay to [iban] or [iban]",
+    },
+    {
+        name: "Government IDs",
+        input: "SSN 123-45-6789, NI number AB 12 34 56 C, Passport No: X1234567",
+        expected: "SSN [id], NI number [id], Passport No: [id]",
+    },
+    {
+        name: "Street address",
+        input: "Ship to 221B Baker Street, London NW1 6XE",
+        expected: "Ship to [address], London [address]",
+    },
+    {
+        name: "US address",
+        input: "1600 Pennsylvania Avenue NW, Washington, DC 20500",
+        expected: "[address] NW, Washington, [address]",
+    },
+    {
+        name: "Kept: order numbers and prices",
+        input: "Order #4111111111111112 shipped, total $1,234.56",
+        expected: "Order #4111111111111112 shipped, total $1,234.56",
+    },
+    {
+        name: "Kept: two capitals and five digits",
+        input: "PR 12345 merged, flight BA 24680 on time",
+        expected: "PR 12345 merged, flight BA 24680 on time",
+    },
+    {
+        name: "Kept: dates, times and versions",
+        input: "Updated 2024-03-15 at 10:30, version 1.2.3, 42 comments",
+        expected: "Updated 2024-03-15 at 10:30, version 1.2.3, 42 comments",
+    },
+];
+
+let failed = 0;
+PII_FIXTURES.forEach((fixture) => {
+    const { text } = scrubPii(fixture.input);
+    const passed = text === fixture.expected;
+    if (!passed) failed += 1;
+    console.log(`${passed ? "✅" : "❌"} ${fixture.name}`);
+    console.log(`   ${fixture.input}`);
+    console.log(`   → ${text}`);
+    if (!passed) console.log(`   expected: ${fixture.expected}`);
+});
+
+console.log(
+    `\n${PII_FIXTURES.length - failed}/${PII_FIXTURES.length} fixtures passed`
+);
+if (failed > 0) process.exitCode = 1;
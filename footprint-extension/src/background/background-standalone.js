@@ -1,235 +1,96 @@
 // Digital Footprint Tracker - Background Script (Standalone)
-// All utilities inlined to avoid ES6 import issues
-
-// === CATEGORIES UTILITIES ===
-const CATEGORIES = {
-    PRODUCTIVITY: "productivity",
-    ENTERTAINMENT: "entertainment",
-    SOCIAL: "social",
-    NEWS: "news",
-    SHOPPING: "shopping",
-    EDUCATION: "education",
-    HEALTH: "health",
-    FINANCE: "finance",
-    WORK: "work",
-    OTHER: "other",
-};
-
-const CATEGORY_COLORS = {
-    [CATEGORIES.PRODUCTIVITY]: "#4CAF50",
-    [CATEGORIES.ENTERTAINMENT]: "#FF9800",
-    [CATEGORIES.SOCIAL]: "#E91E63",
-    [CATEGORIES.NEWS]: "#2196F3",
-    [CATEGORIES.SHOPPING]: "#9C27B0",
-    [CATEGORIES.EDUCATION]: "#00BCD4",
-    [CATEGORIES.HEALTH]: "#4CAF50",
-    [CATEGORIES.FINANCE]: "#FFC107",
-    [CATEGORIES.WORK]: "#607D8B",
-    [CATEGORIES.OTHER]: "#9E9E9E",
-};
-
-const DEFAULT_CATEGORY_PATTERNS = {
-    [CATEGORIES.PRODUCTIVITY]: [
-        "github.com",
-        "gitlab.com",
-        "stackoverflow.com",
-        "docs.google.com",
-        "notion.so",
-        "trello.com",
-        "asana.com",
-        "slack.com",
-        "discord.com",
-        "zoom.us",
-        "teams.microsoft.com",
-        "atlassian.net",
-        "jira.",
-        "confluence.",
-        "drive.google.com",
-        "dropbox.com",
-        "onedrive.",
-        "figma.com",
-        "canva.com",
-    ],
-    [CATEGORIES.ENTERTAINMENT]: [
-        "youtube.com",
-        "netflix.com",
-        "hulu.com",
-        "disney.",
-        "prime.video",
-        "spotify.com",
-        "soundcloud.com",
-        "twitch.tv",
-        "gaming.",
-        "steam.",
-        "epic.games",
-        "xbox.com",
-        "playstation.com",
-        "ign.com",
-        "gamespot.com",
-        "imdb.com",
-        "rottentomatoes.com",
-        "metacritic.com",
-    ],
-    [CATEGORIES.SOCIAL]: [
-        "facebook.com",
-        "instagram.com",
-        "twitter.com",
-        "x.com",
-        "linkedin.com",
-        "snapchat.com",
-        "tiktok.com",
-        "reddit.com",
-        "pinterest.com",
-        "tumblr.com",
-        "whatsapp.com",
-        "telegram.org",
-        "signal.org",
-        "mastodon.",
-    ],
-    [CATEGORIES.NEWS]: [
-        "cnn.com",
-        "bbc.com",
-        "reuters.com",
-        "ap.org",
-        "nytimes.com",
-        "wsj.com",
-        "guardian.co.uk",
-        "washingtonpost.com",
-        "foxnews.com",
-        "npr.org",
-        "bloomberg.com",
-        "techcrunch.com",
-        "wired.com",
-        "arstechnica.com",
-        "theverge.com",
-        "engadget.com",
-        "gizmodo.com",
-    ],
-    [CATEGORIES.SHOPPING]: [
-        "amazon.com",
-        "ebay.com",
-        "walmart.com",
-        "target.com",
-        "bestbuy.com",
-        "shopify.com",
-        "etsy.com",
-        "alibaba.com",
-        "aliexpress.com",
-        "wish.com",
-        "nike.com",
-        "adidas.com",
-        "zara.com",
-        "h&m.com",
-    ],
-    [CATEGORIES.EDUCATION]: [
-        "coursera.org",
-        "udemy.com",
-        "khan.academy",
-        "edx.org",
-        "pluralsight.com",
-        "lynda.com",
-        "skillshare.com",
-        "masterclass.com",
-        "mit.edu",
-        "stanford.edu",
-        "harvard.edu",
-        "wikipedia.org",
-        "scholar.google.com",
-        "researchgate.net",
-    ],
-    [CATEGORIES.HEALTH]: [
-        "webmd.com",
-        "mayoclinic.org",
-        "healthline.com",
-        "nih.gov",
-        "cdc.gov",
-        "who.int",
-        "myfitnesspal.com",
-        "fitbit.com",
-        "strava.com",
-        "headspace.com",
-        "calm.com",
-    ],
-    [CATEGORIES.FINANCE]: [
-        "mint.com",
-        "chase.com",
-        "bankofamerica.com",
-        "wellsfargo.com",
-        "paypal.com",
-        "venmo.com",
-        "robinhood.com",
-        "fidelity.com",
-        "schwab.com",
-        "vanguard.com",
-        "coinbase.com",
-        "binance.com",
-        "bloomberg.com",
-    ],
-    [CATEGORIES.WORK]: [
-        "office.com",
-        "gmail.com",
-        "outlook.com",
-        "calendar.google.com",
-        "salesforce.com",
-        "hubspot.com",
-        "mailchimp.com",
-        "zapier.com",
-    ],
-};
-
-function categorizeUrl(url, userCategories = {}) {
-    try {
-        const domain = new URL(url).hostname.toLowerCase();
-
-        // Check user-defined categories first
-        for (const [category, patterns] of Object.entries(userCategories)) {
-            if (
-                patterns.some((pattern) =>
-                    domain.includes(pattern.toLowerCase())
-                )
-            ) {
-                return category;
-            }
-        }
-
-        // Check default patterns
-        for (const [category, patterns] of Object.entries(
-            DEFAULT_CATEGORY_PATTERNS
-        )) {
-            if (
-                patterns.some((pattern) =>
-                    domain.includes(pattern.toLowerCase())
-                )
-            ) {
-                return category;
-            }
-        }
-
-        return CATEGORIES.OTHER;
-    } catch {
-        return CATEGORIES.OTHER;
-    }
-}
-
-function getCategoryDisplayName(category) {
-    return category.charAt(0).toUpperCase() + category.slice(1);
-}
-
-function getCategoryIcon(category) {
-    const icons = {
-        [CATEGORIES.PRODUCTIVITY]: "💼",
-        [CATEGORIES.ENTERTAINMENT]: "🎬",
-        [CATEGORIES.SOCIAL]: "👥",
-        [CATEGORIES.NEWS]: "📰",
-        [CATEGORIES.SHOPPING]: "🛒",
-        [CATEGORIES.EDUCATION]: "📚",
-        [CATEGORIES.HEALTH]: "🏥",
-        [CATEGORIES.FINANCE]: "💰",
-        [CATEGORIES.WORK]: "💻",
-        [CATEGORIES.OTHER]: "🌐",
-    };
-    return icons[category] || "🌐";
-}
+// Runs as a module service worker. Most utilities are still inlined; shared
+// modules are imported from ../utils.
+import {
+    formatBadgeTime,
+    formatDuration,
+    summarizeProductivity,
+} from "../utils/analytics.js";
+import {
+    CATEGORIES,
+    DEFAULT_TAXONOMY,
+    findCategory,
+    getCategoryColor,
+    loadTaxonomy,
+    onTaxonomyChanged,
+    saveTaxonomy,
+} from "../utils/categories.js";
+import {
+    MAX_EXAMPLES,
+    extractPageFeatures,
+    suggestCategories,
+} from "../utils/categoryLearning.js";
+import {
+    RULE_TYPES,
+    USER_RULE_PRIORITY,
+    createRuleId,
+    explainCategory,
+    loadUserRules,
+    onUserRulesChanged,
+    saveUserRules,
+} from "../utils/categoryRules.js";
+import { extractTopics } from "../utils/contentAnalysis.js";
+import {
+    CONTENT_POLICIES,
+    loadDomainPolicies,
+    onDomainPoliciesChanged,
+    resolveContentPolicy,
+} from "../utils/contentPolicy.js";
+import {
+    BYPASS_MINUTES,
+    FOCUS_BYPASSES_KEY,
+    FOCUS_KEY,
+    MAX_BYPASS_LOG,
+    getFocusBlocks,
+    isBlockedByFocus,
+    isFocusActive,
+    loadFocusSession,
+    parseFocusDomains,
+} from "../utils/focusMode.js";
+import {
+    MIN_GUESS_CONFIDENCE,
+    classifyPage,
+} from "../utils/contentClassifier.js";
+import {
+    POMODORO_KEY,
+    POMODORO_PHASES,
+    blockCategoryTimes,
+    isPomodoroRunning,
+    loadPomodoro,
+    validatePomodoroLengths,
+} from "../utils/pomodoro.js";
+import { scrubPii } from "../utils/piiScrubber.js";
+import { loadPrivacySalt, redactIngestPayload } from "../utils/privacy.js";
+import {
+    isTrackingScheduled,
+    nextScheduleChange,
+    timedPauseEnd,
+} from "../utils/schedule.js";
+import {
+    BADGE_MODES,
+    DEFAULT_SETTINGS,
+    loadSettings,
+    onSettingsChanged,
+    updateSettings,
+} from "../utils/settings.js";
+import {
+    BLOCK_PAGE,
+    BLOCK_REASONS,
+    blockPageUrl,
+    buildBlockRules,
+} from "../utils/siteBlocking.js";
+import {
+    LIMIT_WARNING_RATIO,
+    LIMIT_TYPES,
+    evaluateLimits,
+    findReachedLimit,
+    getLimitBlocks,
+    limitsFromDashboard,
+    loadLimits,
+    mergeDashboardLimits,
+    onLimitsChanged,
+    saveLimits,
+} from "../utils/timeLimits.js";
 
 // === CONTENT ANALYSIS UTILITIES ===
 const SENTIMENT = {
@@ -416,128 +277,6 @@ function analyzeContentQuality(text) {
         : CONTENT_QUALITY.NEUTRAL;
 }
 
-function extractTopics(text, maxTopics = 5) {
-    if (!text || typeof text !== "string") return [];
-
-    const topicKeywords = {
-        Technology: [
-            "tech",
-            "software",
-            "hardware",
-            "computer",
-            "programming",
-            "coding",
-            "ai",
-            "machine learning",
-            "blockchain",
-            "cryptocurrency",
-        ],
-        Politics: [
-            "politics",
-            "government",
-            "election",
-            "democracy",
-            "policy",
-            "legislation",
-            "congress",
-            "senate",
-            "president",
-            "vote",
-        ],
-        Sports: [
-            "sports",
-            "football",
-            "basketball",
-            "soccer",
-            "baseball",
-            "tennis",
-            "olympics",
-            "championship",
-            "team",
-            "game",
-        ],
-        Health: [
-            "health",
-            "medical",
-            "medicine",
-            "doctor",
-            "hospital",
-            "treatment",
-            "therapy",
-            "fitness",
-            "nutrition",
-            "wellness",
-        ],
-        Entertainment: [
-            "movie",
-            "film",
-            "music",
-            "concert",
-            "celebrity",
-            "actor",
-            "singer",
-            "album",
-            "show",
-            "entertainment",
-        ],
-        Business: [
-            "business",
-            "company",
-            "market",
-            "stock",
-            "economy",
-            "finance",
-            "investment",
-            "startup",
-            "entrepreneur",
-            "corporate",
-        ],
-        Science: [
-            "science",
-            "research",
-            "study",
-            "experiment",
-            "discovery",
-            "theory",
-            "biology",
-            "chemistry",
-            "physics",
-            "astronomy",
-        ],
-        Travel: [
-            "travel",
-            "vacation",
-            "trip",
-            "tourism",
-            "destination",
-            "flight",
-            "hotel",
-            "adventure",
-            "culture",
-            "explore",
-        ],
-    };
-
-    const lowercaseText = text.toLowerCase();
-    const topicScores = {};
-
-    Object.entries(topicKeywords).forEach(([topic, keywords]) => {
-        let score = 0;
-        keywords.forEach((keyword) => {
-            const matches = lowercaseText.match(
-                new RegExp(`\\b${keyword}\\b`, "g")
-            );
-            if (matches) score += matches.length;
-        });
-        if (score > 0) topicScores[topic] = score;
-    });
-
-    return Object.entries(topicScores)
-        .sort(([, a], [, b]) => b - a)
-        .slice(0, maxTopics)
-        .map(([topic]) => topic);
-}
-
 function calculateReadabilityScore(text) {
     if (!text || typeof text !== "string") return 0;
 
@@ -572,12 +311,15 @@ function countSyllables(word) {
 
 // === MAIN BACKGROUND SCRIPT ===
 
-// API Configuration
-const API_BASE =
-    "http://localhost:8000/api/v1";//process.env.VITE_API_BASE_URL || "https://your-backend-api.com";
-let API_TOKEN = "eyJhbGciOiJIUzI1NiIsImtpZCI6IlhsdkNmQkV0TW50dFNrbmwiLCJ0eXAiOiJKV1QifQ.eyJpc3MiOiJodHRwczovL3R4YWVraXVvcnducHludGd5bmNxLnN1cGFiYXNlLmNvL2F1dGgvdjEiLCJzdWIiOiJiYjEzMTJkMi1mYzZhLTQ1M2QtYmU5OC0yYWM0NjkzZDhiOGUiLCJhdWQiOiJhdXRoZW50aWNhdGVkIiwiZXhwIjoxNzYzMzYwNTg1LCJpYXQiOjE3NjMzNTY5ODUsImVtYWlsIjoiYUBhLmNvbSIsInBob25lIjoiIiwiYXBwX21ldGFkYXRhIjp7InByb3ZpZGVyIjoiZW1haWwiLCJwcm92aWRlcnMiOlsiZW1haWwiXX0sInVzZXJfbWV0YWRhdGEiOnsiZW1haWwiOiJhQGEuY29tIiwiZW1haWxfdmVyaWZpZWQiOnRydWUsInBob25lX3ZlcmlmaWVkIjpmYWxzZSwic3ViIjoiYmIxMzEyZDItZmM2YS00NTNkLWJlOTgtMmFjNDY5M2Q4YjhlIn0sInJvbGUiOiJhdXRoZW50aWNhdGVkIiwiYWFsIjoiYWFsMSIsImFtciI6W3sibWV0aG9kIjoicGFzc3dvcmQiLCJ0aW1lc3RhbXAiOjE3NjMzNTY5ODV9XSwic2Vzc2lvbl9pZCI6ImE3MjMyNGExLTJjNWItNGU5Yi05ZDE2LWQwNGU1ZGNiMTVmMSIsImlzX2Fub255bW91cyI6ZmFsc2V9.LaUNw15kGCw_FQSTdOmQxfl_YTYy__Ems2aqVz-O0_8";
-// Always use this exact Authorization header value for backend requests (no Bearer prefix)
-const AUTH_HEADER = "eyJhbGciOiJIUzI1NiIsImtpZCI6IlhsdkNmQkV0TW50dFNrbmwiLCJ0eXAiOiJKV1QifQ.eyJpc3MiOiJodHRwczovL3R4YWVraXVvcnducHludGd5bmNxLnN1cGFiYXNlLmNvL2F1dGgvdjEiLCJzdWIiOiJiYjEzMTJkMi1mYzZhLTQ1M2QtYmU5OC0yYWM0NjkzZDhiOGUiLCJhdWQiOiJhdXRoZW50aWNhdGVkIiwiZXhwIjoxNzYzMzYwNTg1LCJpYXQiOjE3NjMzNTY5ODUsImVtYWlsIjoiYUBhLmNvbSIsInBob25lIjoiIiwiYXBwX21ldGFkYXRhIjp7InByb3ZpZGVyIjoiZW1haWwiLCJwcm92aWRlcnMiOlsiZW1haWwiXX0sInVzZXJfbWV0YWRhdGEiOnsiZW1haWwiOiJhQGEuY29tIiwiZW1haWxfdmVyaWZpZWQiOnRydWUsInBob25lX3ZlcmlmaWVkIjpmYWxzZSwic3ViIjoiYmIxMzEyZDItZmM2YS00NTNkLWJlOTgtMmFjNDY5M2Q4YjhlIn0sInJvbGUiOiJhdXRoZW50aWNhdGVkIiwiYWFsIjoiYWFsMSIsImFtciI6W3sibWV0aG9kIjoicGFzc3dvcmQiLCJ0aW1lc3RhbXAiOjE3NjMzNTY5ODV9XSwic2Vzc2lvbl9pZCI6ImE3MjMyNGExLTJjNWItNGU5Yi05ZDE2LWQwNGU1ZGNiMTVmMSIsImlzX2Fub255bW91cyI6ZmFsc2V9.LaUNw15kGCw_FQSTdOmQxfl_YTYy__Ems2aqVz-O0_8";
+// API Configuration. The backend URL can be changed in Options (the
+// `apiBaseUrl` setting); this is the build-time default.
+const DEFAULT_API_BASE =
+    import.meta.env.VITE_API_BASE_URL || "http://localhost:8000/api/v1";
+let API_BASE = DEFAULT_API_BASE;
+
+// Supabase project the extension signs in against
+const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL || "";
+const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY || "";
 
 // Enhanced logging system
 const Logger = {
@@ -607,8 +349,28 @@ const Logger = {
 
 // Tracking state management
 let isTrackingPaused = false;
+let pauseSource = null; // "manual" or "schedule" while paused
+let trackingOverride = null; // { paused, until } set by hand against the schedule
+let pausedUntil = null; // End of a timed pause from the popup
 let currentActiveTab = null;
+let currentTabId = null;
+let currentWindowId = null; // Focused browser window the active tab belongs to
+let browserHasFocus = true; // False while another application is in front
 let tabStartTime = null;
+let idleState = "active"; // "active" | "idle" | "locked" from chrome.idle
+let idleDetectionInterval = 300; // seconds, user-configurable
+let settings = { ...DEFAULT_SETTINGS }; // kept current by onSettingsChanged
+let domainPolicies = {}; // domain -> content policy set in Options
+let userRules = []; // category rules added in Options
+let taxonomy = DEFAULT_TAXONOMY; // built-in and user-created categories
+let categoryGuesses = {}; // domain -> category guessed from page content
+let categoryExamples = []; // the user's corrections, used for suggestions
+let pageFeatures = {}; // domain -> title words and topics of visited pages
+let dismissedSuggestions = []; // domains the user does not want suggested
+let focusSession = null; // active focus mode session, if any
+let limits = []; // daily time limits from Options and the dashboard
+let limitState = { day: null, warned: [], reached: [] }; // today's limits
+let pomodoro = null; // running pomodoro timer, if any
 
 // Track user activity
 let currentSession = {
@@ -624,18 +386,320 @@ let currentSession = {
     },
     categories: {},
     insights: [],
+    idleGaps: [],
+    annotations: [], // focus blocks and other marked stretches
     isPaused: false,
+    bankedUntil: 0,
 };
 
+// === EVENT STORE (IndexedDB) ===
+// History lives in IndexedDB instead of one big chrome.storage array:
+//   visits   - one record per saved interval, indexed by category, start time
+//              and owning session
+//   sessions - one summary record per session, keyed by startTime
+// Each save writes a single record, and readers query only the range they need.
+
+const EVENT_DB_NAME = "footprint-events";
+const EVENT_DB_VERSION = 1;
+const HISTORY_RETENTION = 90 * 24 * 60 * 60 * 1000; // 90 days
+
+let eventDbPromise = null;
+
+function openEventStore() {
+    if (!eventDbPromise) {
+        eventDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(EVENT_DB_NAME, EVENT_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains("visits")) {
+                    const visits = db.createObjectStore("visits", {
+                        keyPath: "id",
+                        autoIncrement: true,
+                    });
+                    visits.createIndex("category", "category");
+                    visits.createIndex("start", "start");
+                    visits.createIndex("sessionStart", "sessionStart");
+                }
+                if (!db.objectStoreNames.contains("sessions")) {
+                    db.createObjectStore("sessions", { keyPath: "startTime" });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                eventDbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return eventDbPromise;
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+async function addVisitRecord(visit) {
+    const db = await openEventStore();
+    const tx = db.transaction("visits", "readwrite");
+    tx.objectStore("visits").add(visit);
+    await transactionDone(tx);
+}
+
+async function putSessionRecord(session) {
+    const db = await openEventStore();
+    const tx = db.transaction("sessions", "readwrite");
+    tx.objectStore("sessions").put(session);
+    await transactionDone(tx);
+}
+
+// Visits that started at or after `since`
+async function getVisitsSince(since) {
+    const db = await openEventStore();
+    const index = db
+        .transaction("visits", "readonly")
+        .objectStore("visits")
+        .index("start");
+    return promisifyRequest(index.getAll(IDBKeyRange.lowerBound(since)));
+}
+
+// Session summaries that started at or after `since`
+async function getSessionsSince(since) {
+    const db = await openEventStore();
+    const store = db
+        .transaction("sessions", "readonly")
+        .objectStore("sessions");
+    return promisifyRequest(store.getAll(IDBKeyRange.lowerBound(since)));
+}
+
+async function getAllRecords(storeName) {
+    const db = await openEventStore();
+    const store = db.transaction(storeName, "readonly").objectStore(storeName);
+    return promisifyRequest(store.getAll());
+}
+
+// Drop visits and sessions that started before `cutoff`
+async function deleteRecordsBefore(cutoff) {
+    const db = await openEventStore();
+    const tx = db.transaction(["visits", "sessions"], "readwrite");
+    const range = IDBKeyRange.upperBound(cutoff, true);
+    let removed = 0;
+
+    const cursorRequest = tx
+        .objectStore("visits")
+        .index("start")
+        .openCursor(range);
+    cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+            cursor.delete();
+            removed += 1;
+            cursor.continue();
+        }
+    };
+    tx.objectStore("sessions").delete(range);
+
+    await transactionDone(tx);
+    return removed;
+}
+
+// Move every stored visit and session from category `from` to `to`
+async function reassignCategoryHistory(from, to) {
+    const db = await openEventStore();
+    const tx = db.transaction(["visits", "sessions"], "readwrite");
+    let reassigned = 0;
+
+    const visitCursor = tx
+        .objectStore("visits")
+        .index("category")
+        .openCursor(IDBKeyRange.only(from));
+    visitCursor.onsuccess = () => {
+        const cursor = visitCursor.result;
+        if (cursor) {
+            cursor.update({ ...cursor.value, category: to });
+            reassigned += 1;
+            cursor.continue();
+        }
+    };
+
+    const sessionCursor = tx.objectStore("sessions").openCursor();
+    sessionCursor.onsuccess = () => {
+        const cursor = sessionCursor.result;
+        if (cursor) {
+            const session = cursor.value;
+            if (reassignSessionCategory(session, from, to)) {
+                cursor.update(session);
+            }
+            cursor.continue();
+        }
+    };
+
+    await transactionDone(tx);
+    return reassigned;
+}
+
+async function clearEventStore() {
+    const db = await openEventStore();
+    const tx = db.transaction(["visits", "sessions"], "readwrite");
+    tx.objectStore("visits").clear();
+    tx.objectStore("sessions").clear();
+    await transactionDone(tx);
+}
+
+// One-time move of the legacy `sessions` array out of chrome.storage.local.
+// Old sessions only kept per-site totals, so each site becomes one visit
+// ending at its last visit time.
+async function migrateLegacySessions() {
+    try {
+        const stored = await chrome.storage.local.get(["sessions"]);
+        const legacySessions = stored.sessions;
+        if (!Array.isArray(legacySessions)) return;
+
+        const db = await openEventStore();
+        const tx = db.transaction(["visits", "sessions"], "readwrite");
+        const visitStore = tx.objectStore("visits");
+        const sessionStore = tx.objectStore("sessions");
+
+        legacySessions.forEach((session) => {
+            if (!session?.startTime) return;
+            sessionStore.put(session);
+
+            Object.entries(session.sites || {}).forEach(([domain, site]) => {
+                const duration = site.timeSpent || 0;
+                if (duration <= 0) return;
+                const end =
+                    site.lastVisit || session.endTime || session.startTime;
+                visitStore.add({
+                    domain,
+                    url: site.url || "",
+                    title: site.title || "",
+                    category: site.category || CATEGORIES.OTHER,
+                    start: end - duration,
+                    end,
+                    duration,
+                    sessionStart: session.startTime,
+                    migrated: true,
+                });
+            });
+        });
+
+        await transactionDone(tx);
+        await chrome.storage.local.remove("sessions");
+        Logger.info(
+            `📦 Migrated ${legacySessions.length} legacy sessions to IndexedDB`
+        );
+    } catch (error) {
+        Logger.error("Error migrating legacy sessions:", error);
+    }
+}
+
+// === STATE PERSISTENCE ===
+// Chrome suspends idle MV3 service workers, wiping module variables. The
+// tracking cursor is mirrored to chrome.storage.session (cleared when the
+// browser restarts, so a stale interval is never resumed) and the session to
+// chrome.storage.local. Every listener awaits stateReady before touching state.
+//
+// saveTabTime stamps currentSession.bankedUntil with the end of each interval
+// it records. A cursor restored with an older tabStartTime is clamped to that
+// mark, so an interval saved just before the worker died is not counted twice.
+
+async function persistTrackingCursor() {
+    try {
+        await chrome.storage.session.set({
+            trackingCursor: {
+                currentActiveTab,
+                currentTabId,
+                currentWindowId,
+                browserHasFocus,
+                tabStartTime,
+                idleState,
+            },
+        });
+    } catch (error) {
+        Logger.error("Error persisting tracking cursor:", error);
+    }
+}
+
+async function restoreTrackingState() {
+    try {
+        const [sessionData, localData] = await Promise.all([
+            chrome.storage.session.get(["trackingCursor"]),
+            chrome.storage.local.get([
+                "currentSession",
+                "isTrackingPaused",
+                "pauseSource",
+                "trackingOverride",
+                "pausedUntil",
+            ]),
+        ]);
+
+        if (localData.currentSession) {
+            currentSession = {
+                ...localData.currentSession,
+                bankedUntil: localData.currentSession.bankedUntil || 0,
+            };
+        }
+        isTrackingPaused = localData.isTrackingPaused || false;
+        pauseSource = localData.pauseSource || null;
+        trackingOverride = localData.trackingOverride || null;
+        pausedUntil = localData.pausedUntil || null;
+
+        const cursor = sessionData.trackingCursor;
+        if (cursor) {
+            currentActiveTab = cursor.currentActiveTab;
+            currentTabId = cursor.currentTabId;
+            currentWindowId = cursor.currentWindowId;
+            browserHasFocus = cursor.browserHasFocus;
+            idleState = cursor.idleState || "active";
+            tabStartTime = cursor.tabStartTime;
+
+            if (tabStartTime && currentSession.bankedUntil > tabStartTime) {
+                Logger.info(
+                    "Restored interval was already saved - resuming from last save"
+                );
+                tabStartTime = currentSession.bankedUntil;
+            }
+
+            Logger.info(
+                `♻️ Tracking state restored: ${currentActiveTab || "no tab"}${
+                    tabStartTime ? " (timing)" : ""
+                }`
+            );
+        }
+    } catch (error) {
+        Logger.error("Error restoring tracking state:", error);
+    }
+}
+
+const stateReady = restoreTrackingState()
+    .then(migrateLegacySessions)
+    .then(loadBackgroundSettings)
+    .then(loadCategoryRules)
+    .then(loadDailyLimits);
+
 // Initialize extension
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
     Logger.info("🔧 Extension installed/updated - starting initialization...");
+    await stateReady;
     initializeStorage();
 });
 
 // Also initialize on startup
-chrome.runtime.onStartup.addListener(() => {
+chrome.runtime.onStartup.addListener(async () => {
     Logger.info("🚀 Extension startup - initializing...");
+    await stateReady;
     initializeStorage();
 });
 
@@ -644,63 +708,27 @@ async function initializeStorage() {
     try {
         Logger.info("Initializing storage and API connection...");
 
-        const settings = await chrome.storage.sync.get([
-            "trackingEnabled",
-            "excludedSites",
-            "userCategories",
-            "privacyMode",
-        ]);
-
-        if (!settings.trackingEnabled) {
-            await chrome.storage.sync.set({
-                trackingEnabled: true,
-                excludedSites: ["chrome://", "chrome-extension://", "about:"],
-                userCategories: {},
-                privacyMode: false,
-            });
-            Logger.info("Default settings initialized");
-        }
+        // Creates the defaults on first run and migrates older settings
+        settings = await loadSettings();
 
-        // Restore tracking state
-        const localSettings = await chrome.storage.local.get([
-            "isTrackingPaused",
-        ]);
-        isTrackingPaused = localSettings.isTrackingPaused || false;
+        // Tracking state was restored by restoreTrackingState()
         currentSession.isPaused = isTrackingPaused;
 
         Logger.info(
             `Tracking state: ${isTrackingPaused ? "PAUSED" : "ACTIVE"}`
         );
 
-        // Attempt to hydrate API token from local storage if present
-        try {
-            const tokens = await chrome.storage.local.get([
-                "authToken",
-                "access_token",
-                "supabaseToken",
-                "supabase_session",
-            ]);
-            API_TOKEN =
-                tokens.authToken ||
-                tokens.access_token ||
-                tokens.supabaseToken ||
-                (tokens.supabase_session &&
-                    tokens.supabase_session.access_token) ||
-                API_TOKEN;
-            if (API_TOKEN) {
-                Logger.info("Auth token loaded for API requests");
-            }
-        } catch (e) {
-            Logger.warn("No auth token found in storage:", e?.message);
-        }
-
-        // Test API connectivity (non-blocking)
-        testAPIConnectivity().catch((error) => {
-            Logger.warn(
-                "API connectivity test failed, continuing without backend:",
-                error.message
-            );
-        });
+        // Test API connectivity (non-blocking) and flush anything queued offline
+        testAPIConnectivity()
+            .then((reachable) => {
+                if (reachable) drainOutbox({ apiReachable: true });
+            })
+            .catch((error) => {
+                Logger.warn(
+                    "API connectivity test failed, continuing without backend:",
+                    error.message
+                );
+            });
 
         // Fetch available categories (non-blocking)
         fetchCategories().catch((error) => {
@@ -716,9 +744,9 @@ async function initializeStorage() {
 }
 
 // Start a new tracking session
-function startNewSession() {
+function startNewSession(startTime = Date.now()) {
     currentSession = {
-        startTime: Date.now(),
+        startTime,
         endTime: null,
         totalTime: 0,
         activeTime: 0,
@@ -730,10 +758,84 @@ function startNewSession() {
         },
         categories: {},
         insights: [],
+        idleGaps: [],
+        annotations: [], // focus blocks and other marked stretches
         isPaused: isTrackingPaused,
+        bankedUntil: 0,
     };
 }
 
+// === SESSION ROLLOVER ===
+// A session never spans more than one local calendar day: it is closed at
+// local midnight and after an idle gap of SESSION_IDLE_SPLIT or longer.
+
+const SESSION_IDLE_SPLIT = 30 * 60 * 1000; // 30 minutes
+
+function startOfLocalDay(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+function nextLocalMidnight(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(24, 0, 0, 0);
+    return date.getTime();
+}
+
+// Close the current session at `boundary` and open a new one there. An idle
+// gap still open at the boundary is split so each session keeps its part.
+async function rolloverSession(boundary, reason) {
+    const openGap = currentSession.idleGaps?.find((gap) => !gap.end);
+    if (openGap) {
+        openGap.end = Math.max(openGap.start, boundary);
+        openGap.duration = openGap.end - openGap.start;
+    }
+
+    currentSession.endTime = boundary;
+    await putSessionRecord({ ...currentSession });
+    Logger.info(
+        `📅 Session rolled over (${reason}) - ${Math.round(
+            currentSession.totalTime / 1000
+        )}s tracked`
+    );
+
+    startNewSession(boundary);
+    if (openGap) {
+        currentSession.idleGaps.push({
+            ...openGap,
+            start: openGap.end,
+            end: null,
+            duration: 0,
+        });
+    }
+    await updateStoredData();
+}
+
+// Roll over if the current session began on an earlier day than `timestamp`
+async function ensureSessionDay(timestamp = Date.now()) {
+    const dayStart = startOfLocalDay(timestamp);
+    if (currentSession.startTime < dayStart) {
+        await rolloverSession(dayStart, "midnight");
+    }
+}
+
+// Bank the running interval at midnight so each day gets its own share,
+// then roll the session over even if nothing is being timed
+async function checkMidnightRollover() {
+    const now = Date.now();
+    if (
+        currentActiveTab &&
+        tabStartTime &&
+        tabStartTime < startOfLocalDay(now)
+    ) {
+        await saveTabTime(currentActiveTab, now - tabStartTime, now);
+        tabStartTime = now;
+        await persistTrackingCursor();
+    }
+    await ensureSessionDay(now);
+}
+
 // Pause/Play functionality with enhanced logging
 async function pauseTracking() {
     console.log(`⏸️ [BACKGROUND] PAUSE button clicked - stopping tracking`);
@@ -761,6 +863,7 @@ async function pauseTracking() {
     }
 
     await chrome.storage.local.set({ isTrackingPaused: true });
+    await persistTrackingCursor();
     console.log(`💾 [BACKGROUND] Pause state saved to storage`);
     console.log(`✅ [BACKGROUND] TRACKING PAUSED SUCCESSFULLY`);
 }
@@ -776,9 +879,19 @@ async function resumeTracking() {
         // Get the currently active tab
         const tabs = await chrome.tabs.query({
             active: true,
-            currentWindow: true,
+            lastFocusedWindow: true,
         });
         if (tabs[0] && tabs[0].url) {
+            currentTabId = tabs[0].id;
+            currentWindowId = tabs[0].windowId;
+        }
+
+        if (!isTimingAllowed()) {
+            if (tabs[0] && tabs[0].url) currentActiveTab = tabs[0].url;
+            console.log(
+                `💤 [BACKGROUND] User is idle or away - timing starts on next activity`
+            );
+        } else if (tabs[0] && tabs[0].url) {
             currentActiveTab = tabs[0].url;
             tabStartTime = Date.now();
             console.log(
@@ -797,7 +910,7 @@ async function resumeTracking() {
             `❌ [BACKGROUND] Error getting current tab on resume:`,
             error
         );
-        if (currentActiveTab) {
+        if (currentActiveTab && isTimingAllowed()) {
             tabStartTime = Date.now();
             console.log(
                 `⏰ [BACKGROUND] Resumed timing for stored tab: ${currentActiveTab}`
@@ -806,158 +919,727 @@ async function resumeTracking() {
     }
 
     await chrome.storage.local.set({ isTrackingPaused: false });
+    await persistTrackingCursor();
     console.log(`💾 [BACKGROUND] Resume state saved to storage`);
     console.log(`✅ [BACKGROUND] TRACKING RESUMED SUCCESSFULLY`);
 }
 
-// Save time spent on a tab with comprehensive logging
-async function saveTabTime(url, timeSpent) {
-    if (!url || timeSpent < 1000) {
-        if (timeSpent < 1000) {
+// === TRACKING SCHEDULE ===
+// With a weekly schedule on (utils/schedule.js), tracking is paused outside
+// its windows and resumed inside them by an alarm at each change. Pausing
+// or resuming by hand against the schedule is a manual override that lasts
+// until the schedule's next change.
+
+const SCHEDULE_ALARM = "trackingSchedule";
+
+async function saveTrackingOverride() {
+    await chrome.storage.local.set({
+        trackingOverride,
+        pauseSource,
+        pausedUntil,
+    });
+}
+
+async function setTrackingPaused(paused, source) {
+    if (paused && !isTrackingPaused) {
+        await pauseTracking();
+    } else if (!paused && isTrackingPaused) {
+        await resumeTracking();
+    }
+    pauseSource = paused ? source : null;
+    await saveTrackingOverride();
+}
+
+// Pause or resume to match the schedule, unless overridden by hand
+async function applyTrackingSchedule(now = Date.now()) {
+    const schedule = settings.trackingSchedule;
+    if (trackingOverride?.until && trackingOverride.until <= now) {
+        trackingOverride = null;
+    }
+
+    if (!schedule?.enabled) {
+        await chrome.alarms.clear(SCHEDULE_ALARM);
+        trackingOverride = null;
+        if (isTrackingPaused && pauseSource === "schedule") {
+            await setTrackingPaused(false);
+            Logger.info("🗓️ Schedule off - tracking resumed");
+        } else {
+            await saveTrackingOverride();
+        }
+        return;
+    }
+
+    if (pausedUntil) {
+        await setTrackingPaused(true, "manual");
+    } else if (trackingOverride) {
+        await setTrackingPaused(trackingOverride.paused, "manual");
+    } else {
+        const scheduled = isTrackingScheduled(schedule, now);
+        if (scheduled === isTrackingPaused) {
             Logger.info(
-                `Ignoring short session: ${Math.round(
-                    timeSpent / 1000
-                )}s on ${url}`
+                `🗓️ Schedule ${scheduled ? "resumes" : "pauses"} tracking`
             );
         }
-        return; // Ignore < 1 second
+        await setTrackingPaused(!scheduled, "schedule");
     }
 
-    try {
-        const domain = new URL(url).hostname;
-        const settings = await chrome.storage.sync.get(["excludedSites"]);
+    const next = nextScheduleChange(schedule, now);
+    if (next) {
+        await chrome.alarms.create(SCHEDULE_ALARM, { when: next });
+    } else {
+        await chrome.alarms.clear(SCHEDULE_ALARM);
+    }
+}
 
-        // Check if site is excluded
-        const isExcluded = settings.excludedSites?.some((excluded) =>
-            url.includes(excluded)
-        );
-        if (isExcluded) {
-            Logger.info(`Skipping excluded site: ${domain}`);
-            return;
+// Pause or resume from the popup. Against the schedule this overrides it
+// until its next change; going along with it ends any override.
+async function setManualTracking(paused) {
+    const schedule = settings.trackingSchedule;
+    const now = Date.now();
+    let source = "manual";
+    trackingOverride = null;
+    await clearTimedPause();
+    if (schedule?.enabled) {
+        if (paused === !isTrackingScheduled(schedule, now)) {
+            source = "schedule";
+        } else {
+            // A schedule that never changes leaves the override in place
+            // until the user goes back to it
+            trackingOverride = {
+                paused,
+                until: nextScheduleChange(schedule, now),
+            };
         }
+    }
+    await setTrackingPaused(paused, source);
+}
 
-        Logger.info(`💾 Saving ${Math.round(timeSpent / 1000)}s for ${domain}`);
+// Drop a manual override and go back to what the schedule says
+async function followTrackingSchedule() {
+    trackingOverride = null;
+    await clearTimedPause();
+    await applyTrackingSchedule();
+    return getTrackingStatus();
+}
 
-        // Update session data
-        if (!currentSession.sites[domain]) {
-            currentSession.sites[domain] = {
-                url,
-                domain,
-                visits: 0,
-                timeSpent: 0,
-                category: categorizeUrl(url),
-                lastVisit: Date.now(),
-            };
-            Logger.info(
-                `📝 New site tracked: ${domain} (${currentSession.sites[domain].category})`
-            );
-        }
+// Pause state and where it comes from, for the popup
+function getTrackingStatus() {
+    const schedule = settings.trackingSchedule;
+    let source = isTrackingPaused ? pauseSource || "manual" : null;
+    if (schedule?.enabled) {
+        source = trackingOverride || pausedUntil ? "manual" : "schedule";
+    }
+    return {
+        paused: isTrackingPaused,
+        source,
+        scheduleEnabled: Boolean(schedule?.enabled),
+        pausedUntil,
+        overrideUntil: trackingOverride?.until ?? pausedUntil ?? null,
+        nextChange: schedule?.enabled
+            ? nextScheduleChange(schedule, Date.now())
+            : null,
+    };
+}
 
-        currentSession.sites[domain].timeSpent += timeSpent;
-        currentSession.sites[domain].visits += 1;
-        currentSession.sites[domain].lastVisit = Date.now();
+// === TIMED PAUSE ===
+// "Pause for 15 min / 1 hour / until tomorrow" from the popup. An alarm ends
+// the pause; tracking then resumes, or follows the schedule if one is on.
 
-        // Update total time
-        currentSession.totalTime += timeSpent;
+const TIMED_PAUSE_ALARM = "timedPauseEnd";
 
-        // Send to API with enhanced logging
-        await sendToAPI({
-            url,
-            domain,
-            timeSpent,
-            category: currentSession.sites[domain].category,
-            title: currentSession.sites[domain].title || "",
-            clicks: 0, // Will be updated by content script
-            keypresses: 0, // Will be updated by content script
-        });
+async function pauseTrackingUntil(until) {
+    trackingOverride = null;
+    pausedUntil = until;
+    await setTrackingPaused(true, "manual");
+    await chrome.alarms.create(TIMED_PAUSE_ALARM, { when: until });
+    Logger.info(`⏸️ Tracking paused until ${new Date(until).toLocaleString()}`);
+}
 
-        await updateStoredData();
+async function clearTimedPause() {
+    if (!pausedUntil) return;
+    pausedUntil = null;
+    await chrome.alarms.clear(TIMED_PAUSE_ALARM);
+}
 
-        Logger.info(
-            `✅ Session updated - Total: ${Math.round(
-                currentSession.totalTime / 1000
-            )}s, Sites: ${Object.keys(currentSession.sites).length}`
-        );
+async function notifyTrackingResumed() {
+    try {
+        await chrome.notifications.create("trackingResumed", {
+            type: "basic",
+            iconUrl: "icons/icon128.png",
+            title: "Tracking resumed",
+            message: "Your pause is over and your browsing is tracked again.",
+        });
     } catch (error) {
-        Logger.error("Error saving tab time:", error);
+        Logger.warn("Could not show resume notification:", error);
     }
 }
 
-// Send data to CogniSense API with comprehensive logging
-async function sendToAPI(data) {
-    try {
-        // Get user ID
-        const userId = await getUserId();
-        if (!userId) {
-            Logger.warn("No user ID available for API request");
-            return;
-        }
+async function endTimedPause() {
+    if (!pausedUntil) return;
+    await clearTimedPause();
+    if (settings.trackingSchedule?.enabled) {
+        await applyTrackingSchedule();
+    } else {
+        await setTrackingPaused(false);
+    }
+    if (!isTrackingPaused) {
+        Logger.info("▶️ Timed pause over - tracking resumed");
+        await notifyTrackingResumed();
+    }
+}
 
-        const endpoint = "/tracking/ingest";
-        const fullUrl = `${API_BASE}${endpoint}`;
+// The alarm may have been missed while the browser was closed
+async function restoreTimedPause() {
+    if (!pausedUntil) return;
+    if (pausedUntil <= Date.now()) {
+        await endTimedPause();
+    } else {
+        await ensureAlarm(TIMED_PAUSE_ALARM, { when: pausedUntil });
+    }
+}
 
-        // Prepare payload according to API documentation
-        const payload = {
-            user_id: "49497271-8a3f-4aad-8a0e-03ee8265ff91",
-            url: data.url,
-            title: data.title || "",
-            text: data.text || "",
-            start_ts: (Date.now() - data.timeSpent) / 1000,
-            end_ts: Date.now() / 1000,
-            duration_seconds: data.timeSpent / 1000,
-            clicks: data.clicks || 0,
-            keypresses: data.keypresses || 0,
-            engagement_score: calculateEngagementScore(
-                data.clicks || 0,
-                data.keypresses || 0
-            ),
-        };
+// Whether time on the active tab should be counted right now
+function isTimingAllowed() {
+    return (
+        settings.trackingEnabled &&
+        !isTrackingPaused &&
+        idleState === "active" &&
+        browserHasFocus
+    );
+}
 
-        // Log the API request
-        Logger.api(endpoint, "POST", payload);
+// === IDLE DETECTION ===
+// chrome.idle reports "idle" once there has been no input for the detection
+// interval, and "locked" when the screen locks. Either one closes the open
+// interval; the gap is recorded on the session so it can be shown later.
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+async function applyIdleDetectionInterval() {
+    try {
+        // Chrome rejects intervals shorter than 15 seconds
+        idleDetectionInterval = Math.max(
+            15,
+            Number(settings.idleDetectionInterval) || idleDetectionInterval
+        );
+        chrome.idle.setDetectionInterval(idleDetectionInterval);
+        Logger.info(`💤 Idle detection interval: ${idleDetectionInterval}s`);
+    } catch (error) {
+        Logger.error("Error applying idle detection interval:", error);
+    }
+}
 
-        const response = await fetch(fullUrl, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                Authorization: AUTH_HEADER,
-            },
-            body: JSON.stringify(payload),
-            signal: controller.signal,
-        });
+async function handleIdleStateChange(newState) {
+    const previousState = idleState;
+    idleState = newState;
+    if (newState === previousState) return;
+
+    Logger.info(`💤 Idle state changed: ${previousState} → ${newState}`);
+    const now = Date.now();
+
+    if (newState === "active") {
+        // Close the open gap and resume timing the tab we left. A gap that
+        // ran past midnight is split first, so close only today's part.
+        await ensureSessionDay(now);
+        const openGap = currentSession.idleGaps?.find((gap) => !gap.end);
+        if (openGap) {
+            openGap.end = now;
+            openGap.duration = now - openGap.start;
+            Logger.info(
+                `Idle gap closed: ${Math.round(openGap.duration / 1000)}s (${
+                    openGap.state
+                })`
+            );
+        }
 
-        clearTimeout(timeoutId);
+        if (openGap && openGap.duration >= SESSION_IDLE_SPLIT) {
+            await rolloverSession(now, "idle gap");
+        }
 
-        if (response.ok) {
-            const responseData = await response.json();
-            Logger.api(endpoint, "POST", null, responseData);
-            Logger.info(`Successfully sent tracking data for ${data.url}`);
+        if (currentActiveTab && isTimingAllowed()) {
+            tabStartTime = now;
+        }
+        await updateStoredData();
+        await persistTrackingCursor();
+        return;
+    }
 
-            // If we have text content, also send it for content analysis
-            if (data.text && data.text.trim().length > 0) {
-                await analyzeContent(data.text, data.url);
-            }
-        } else {
-            const errorText = await response.text();
-            Logger.warn(
-                `API request failed (${response.status}): ${response.statusText}`,
-                errorText
+    // Going from idle to locked just upgrades the gap that is already open
+    if (previousState !== "active") {
+        const openGap = currentSession.idleGaps?.find((gap) => !gap.end);
+        if (openGap) openGap.state = newState;
+        await persistTrackingCursor();
+        return;
+    }
+
+    if (isTrackingPaused) {
+        await persistTrackingCursor();
+        return;
+    }
+
+    // "idle" only fires after the detection interval without input, so the
+    // user really left that long ago. A lock is reported immediately.
+    const idleSince =
+        newState === "idle" ? now - idleDetectionInterval * 1000 : now;
+
+    if (currentActiveTab && tabStartTime) {
+        const activeEnd = Math.max(tabStartTime, idleSince);
+        await saveTabTime(
+            currentActiveTab,
+            activeEnd - tabStartTime,
+            activeEnd
+        );
+        tabStartTime = null;
+    }
+
+    if (!currentSession.idleGaps) currentSession.idleGaps = [];
+    currentSession.idleGaps.push({
+        start: idleSince,
+        end: null,
+        duration: 0,
+        state: newState,
+        url: currentActiveTab,
+    });
+    await updateStoredData();
+    await persistTrackingCursor();
+}
+
+// Total idle time within [since, now], including a gap that is still open
+function sumIdleTime(gaps = [], since = 0) {
+    const now = Date.now();
+    return gaps.reduce((total, gap) => {
+        const start = Math.max(gap.start, since);
+        const end = gap.end || now;
+        return end > start ? total + (end - start) : total;
+    }, 0);
+}
+
+chrome.idle.onStateChanged.addListener(async (newState) => {
+    await stateReady;
+    handleIdleStateChange(newState).catch((error) =>
+        Logger.error("Error handling idle state change:", error)
+    );
+});
+
+// Save time spent on a tab with comprehensive logging.
+// endTime is when the interval closed; it defaults to now.
+async function saveTabTime(url, timeSpent, endTime = Date.now()) {
+    if (!url || timeSpent < 1000) {
+        if (timeSpent < 1000) {
+            Logger.info(
+                `Ignoring short session: ${Math.round(
+                    timeSpent / 1000
+                )}s on ${url}`
             );
         }
-    } catch (error) {
-        if (error.name === "AbortError") {
-            Logger.warn(
-                "API request timed out - continuing without backend sync"
+        return; // Ignore < 1 second
+    }
+
+    try {
+        const domain = new URL(url).hostname;
+
+        // Check if site is excluded
+        if (isExcludedSite(url)) {
+            Logger.info(`Skipping excluded site: ${domain}`);
+            return;
+        }
+
+        Logger.info(`💾 Saving ${Math.round(timeSpent / 1000)}s for ${domain}`);
+
+        // An interval that crosses local midnight is divided between the
+        // two days, each part landing in its own day's session
+        let segmentStart = endTime - timeSpent;
+        while (segmentStart < endTime) {
+            const segmentEnd = Math.min(
+                nextLocalMidnight(segmentStart),
+                endTime
             );
-        } else {
-            Logger.warn(
-                "Failed to send data to API (extension will continue working):",
-                error.message
+            await ensureSessionDay(segmentStart);
+            await recordInterval(url, domain, segmentStart, segmentEnd);
+            segmentStart = segmentEnd;
+        }
+
+        Logger.info(
+            `✅ Session updated - Total: ${Math.round(
+                currentSession.totalTime / 1000
+            )}s, Sites: ${Object.keys(currentSession.sites).length}`
+        );
+
+        // The interval just saved is in today's visits now
+        await checkLimits({ includeLive: false });
+    } catch (error) {
+        Logger.error("Error saving tab time:", error);
+    }
+}
+
+function isExcludedSite(url) {
+    return (
+        settings.excludedSites.some((excluded) => url.includes(excluded)) ||
+        getContentPolicy(url) === CONTENT_POLICIES.IGNORE
+    );
+}
+
+// The site's content policy (utils/contentPolicy.js). Unparseable URLs get
+// "time only" so nothing is read from them.
+function getContentPolicy(url) {
+    try {
+        return resolveContentPolicy(
+            domainPolicies,
+            settings.contentPolicies,
+            new URL(url).hostname,
+            categorizeSite(url)
+        );
+    } catch {
+        return CONTENT_POLICIES.TIME_ONLY;
+    }
+}
+
+// Whether the page at `url` may be read for content analysis
+function canReadContent(url) {
+    return (
+        !isExcludedSite(url) && getContentPolicy(url) === CONTENT_POLICIES.FULL
+    );
+}
+
+// Site record in the current session, created on first use
+function getSiteRecord(url, domain, timestamp = Date.now()) {
+    if (!currentSession.sites[domain]) {
+        currentSession.sites[domain] = {
+            url,
+            domain,
+            visits: 0,
+            timeSpent: 0,
+            category: categorizeSite(url),
+            lastVisit: timestamp,
+        };
+        Logger.info(
+            `📝 New site tracked: ${domain} (${currentSession.sites[domain].category})`
+        );
+    }
+    return currentSession.sites[domain];
+}
+
+// Add one same-day interval to the current session, the event store and
+// the upload queue
+async function recordInterval(url, domain, start, end) {
+    const timeSpent = end - start;
+
+    // Update session data
+    const site = getSiteRecord(url, domain, end);
+    site.timeSpent += timeSpent;
+    site.visits += 1;
+    site.lastVisit = end;
+
+    // Total time is tracked time, not wall-clock session length
+    currentSession.totalTime += timeSpent;
+    currentSession.bankedUntil = Math.max(currentSession.bankedUntil || 0, end);
+
+    // Persist before the network call so a worker shutdown mid-request
+    // can't lose the interval
+    await addVisitRecord({
+        domain,
+        url,
+        title: currentSession.sites[domain].title || "",
+        category: currentSession.sites[domain].category,
+        start,
+        end,
+        duration: timeSpent,
+        sessionStart: currentSession.startTime,
+    });
+    await updateStoredData();
+
+    // Send to API with enhanced logging, along with the interaction counts
+    // reported by the content script since the site's last upload
+    const engagement = await takePendingEngagement(domain);
+    await sendToAPI({
+        url,
+        domain,
+        timeSpent,
+        start,
+        end,
+        category: site.category,
+        title: site.title || "",
+        clicks: engagement.clicks,
+        keypresses: engagement.keys,
+        scrolls: engagement.scrolls,
+        focusTime: engagement.focusTime,
+        selections: engagement.selections,
+    });
+}
+
+// === PII SCRUBBING ===
+// Page text and titles are scrubbed of personal data (utils/piiScrubber.js)
+// as they arrive from pages, before anything analyzes, stores or uploads
+// them. How much was redacted on each page is logged under `piiRedactions`
+// for Options' Debug tab.
+
+const REDACTION_LOG_KEY = "piiRedactions";
+const MAX_REDACTION_LOG = 100;
+
+// The page a redaction is logged under: no query or fragment, and scrubbed
+// itself
+function redactionPage(url) {
+    try {
+        const { origin, pathname } = new URL(url);
+        return scrubPii(origin + pathname).text;
+    } catch {
+        return "";
+    }
+}
+
+// Keep the most found per type, as the same page is scrubbed more than once
+// (title, metadata, content analysis)
+async function logRedactions(url, counts) {
+    // Excluded and ignored sites are never recorded, not even here
+    if (isExcludedSite(url)) return;
+    const page = redactionPage(url);
+    if (!page) return;
+
+    const stored = await chrome.storage.local.get([REDACTION_LOG_KEY]);
+    const log = stored[REDACTION_LOG_KEY] || [];
+    const previous = log.find((entry) => entry.page === page);
+    const merged = { ...counts };
+    Object.keys(merged).forEach((type) => {
+        merged[type] = Math.max(merged[type], previous?.counts[type] || 0);
+    });
+
+    const entry = {
+        page,
+        counts: merged,
+        total: Object.values(merged).reduce((sum, n) => sum + n, 0),
+        at: Date.now(),
+    };
+    await chrome.storage.local.set({
+        [REDACTION_LOG_KEY]: [
+            entry,
+            ...log.filter((other) => other.page !== page),
+        ].slice(0, MAX_REDACTION_LOG),
+    });
+}
+
+// Scrub several texts from the page at `url`, e.g. { title, text }
+async function scrubPageTexts(url, texts) {
+    const scrubbed = {};
+    const counts = {};
+    let total = 0;
+    Object.entries(texts).forEach(([key, value]) => {
+        const result = scrubPii(value);
+        scrubbed[key] = result.text;
+        total += result.total;
+        Object.entries(result.counts).forEach(([type, n]) => {
+            counts[type] = (counts[type] || 0) + n;
+        });
+    });
+
+    if (total > 0) {
+        Logger.info(`🧽 Redacted ${total} personal details on ${url}`);
+        await logRedactions(url, counts);
+    }
+    return scrubbed;
+}
+
+// Entries for sites excluded or ignored since they were logged are left out
+async function getRedactionLog() {
+    const stored = await chrome.storage.local.get([REDACTION_LOG_KEY]);
+    return (stored[REDACTION_LOG_KEY] || []).filter(
+        (entry) => !isExcludedSite(entry.page)
+    );
+}
+
+// === PAGE ENGAGEMENT ===
+// The content script reports interaction counts every 15 seconds
+// ("engagement") and page metadata once after load ("page_html"). Counts
+// are added to the site's totals in the current session and held per domain
+// until the next /tracking/ingest upload for that site. The pending counts
+// live in chrome.storage.session so a suspended worker doesn't drop them.
+
+const ENGAGEMENT_FIELDS = [
+    "clicks",
+    "keys",
+    "scrolls",
+    "focusTime",
+    "selections",
+];
+
+let engagementLock = Promise.resolve();
+
+// Serialize read-modify-write cycles on the stored engagement state
+function withEngagementLock(fn) {
+    const run = engagementLock.then(fn, fn);
+    engagementLock = run.catch(() => {});
+    return run;
+}
+
+function emptyEngagement() {
+    return { clicks: 0, keys: 0, scrolls: 0, focusTime: 0, selections: 0 };
+}
+
+async function loadEngagementState() {
+    const stored = await chrome.storage.session.get(["engagementState"]);
+    return stored.engagementState || { pending: {}, focusByTab: {} };
+}
+
+async function recordEngagement(sender, data) {
+    const url = sender?.tab?.url;
+    if (isTrackingPaused || !data || !url || !url.startsWith("http")) return;
+    if (isExcludedSite(url)) return;
+
+    const domain = new URL(url).hostname;
+    const tabId = sender.tab.id;
+
+    await withEngagementLock(async () => {
+        const state = await loadEngagementState();
+
+        // focusTime is cumulative for the page load; count only the growth
+        // since the last report (a reload starts it again from zero)
+        const reportedFocus = data.focusTime || 0;
+        const previousFocus = state.focusByTab[tabId] || 0;
+        const focusDelta =
+            reportedFocus >= previousFocus
+                ? reportedFocus - previousFocus
+                : reportedFocus;
+        state.focusByTab[tabId] = data.final ? 0 : reportedFocus;
+
+        const delta = {
+            clicks: data.clicks || 0,
+            keys: data.keys || 0,
+            scrolls: data.scrolls || 0,
+            focusTime: focusDelta,
+            selections: data.textSelections || 0,
+        };
+
+        const pending = state.pending[domain] || emptyEngagement();
+        const site = getSiteRecord(url, domain);
+        const totals = site.engagement || emptyEngagement();
+        ENGAGEMENT_FIELDS.forEach((field) => {
+            pending[field] += delta[field];
+            totals[field] += delta[field];
+        });
+        state.pending[domain] = pending;
+        site.engagement = totals;
+
+        await chrome.storage.session.set({ engagementState: state });
+    });
+    await updateStoredData();
+}
+
+// Pending counts for `domain`, reset once they are attached to an upload
+async function takePendingEngagement(domain) {
+    try {
+        return await withEngagementLock(async () => {
+            const state = await loadEngagementState();
+            const pending = state.pending[domain] || emptyEngagement();
+            delete state.pending[domain];
+            await chrome.storage.session.set({ engagementState: state });
+            return pending;
+        });
+    } catch (error) {
+        Logger.error("Error reading pending engagement:", error);
+        return emptyEngagement();
+    }
+}
+
+async function forgetTabEngagement(tabId) {
+    await withEngagementLock(async () => {
+        const state = await loadEngagementState();
+        if (!(tabId in state.focusByTab)) return;
+        delete state.focusByTab[tabId];
+        await chrome.storage.session.set({ engagementState: state });
+    });
+}
+
+async function recordPageMetadata(sender, message) {
+    const url = sender?.tab?.url || message.url;
+    if (!url || !url.startsWith("http")) return;
+    // Time-only sites keep their page to themselves
+    if (!canReadContent(url)) return;
+
+    const metadata = message.metadata || {};
+    const { title, description, keywords, text } = await scrubPageTexts(url, {
+        title: metadata.title || "",
+        description: metadata.description || "",
+        keywords: metadata.keywords || "",
+        text: message.text || "",
+    });
+    const site = getSiteRecord(url, new URL(url).hostname);
+    if (title) site.title = title;
+    site.metadata = {
+        author: metadata.author || "",
+        publishDate: metadata.publishDate || "",
+        hasVideo: Boolean(metadata.hasVideo),
+    };
+    await updateStoredData();
+
+    if (!settings.contentScanning) return;
+    const page = { title, description, keywords, text };
+    await guessCategoryFromContent(url, page);
+    await rememberPageFeatures(new URL(url).hostname, page);
+}
+
+// The /tracking/ingest payload for a recorded interval, reduced to what
+// privacy mode allows when it is on
+async function buildIngestPayload(
+    data,
+    { privacyMode, hashDomains } = settings
+) {
+    const auth = await loadAuthSession();
+
+    // Prepare payload according to API documentation. Titles and text are
+    // scrubbed when they arrive; this catches anything that slipped past.
+    const payload = {
+        user_id: auth?.userId || null,
+        url: data.url,
+        title: scrubPii(data.title || "").text,
+        text: scrubPii(data.text || "").text,
+        start_ts: (data.start ?? Date.now() - data.timeSpent) / 1000,
+        end_ts: (data.end ?? Date.now()) / 1000,
+        duration_seconds: data.timeSpent / 1000,
+        clicks: data.clicks || 0,
+        keypresses: data.keypresses || 0,
+        scrolls: data.scrolls || 0,
+        selections: data.selections || 0,
+        focus_time_seconds: (data.focusTime || 0) / 1000,
+        engagement_score: calculateEngagementScore(
+            data.clicks || 0,
+            data.keypresses || 0
+        ),
+    };
+    if (!privacyMode) return payload;
+
+    return redactIngestPayload(payload, {
+        category: data.category,
+        salt: hashDomains ? await loadPrivacySalt() : null,
+    });
+}
+
+// Send data to CogniSense API with comprehensive logging
+async function sendToAPI(data) {
+    try {
+        const endpoint = "/tracking/ingest";
+        const payload = await buildIngestPayload(data);
+
+        // Log the API request
+        Logger.api(endpoint, "POST", payload);
+
+        const outcome = await sendOrQueue(endpoint, payload);
+
+        // If we have text content, also send it for content analysis.
+        // A queued ingest queues the analysis right behind it so the
+        // backend still receives them in order. Privacy mode keeps the
+        // text on the device and analyzes it here instead.
+        const hasText = data.text && data.text.trim().length > 0;
+        const delivered = outcome === "sent" || outcome === "queued";
+        if (hasText && settings.privacyMode) {
+            await processContentAnalysis(
+                { content: data.text },
+                { url: data.url }
             );
+        } else if (delivered && hasText) {
+            await analyzeContent(data.text, data.url);
         }
+    } catch (error) {
+        Logger.warn(
+            "Failed to send data to API (extension will continue working):",
+            error.message
+        );
     }
 }
 
@@ -970,43 +1652,22 @@ function calculateEngagementScore(clicks, keypresses) {
 
 // Analyze content using the content analysis endpoint
 async function analyzeContent(text, url) {
+    if (settings.privacyMode || !canReadContent(url)) return;
+
     try {
         const endpoint = "/content/analyze";
-        const fullUrl = `${API_BASE}${endpoint}`;
 
         const payload = {
-            text: text.substring(0, 5000), // Limit text length
+            text: scrubPii(text).text.substring(0, 5000), // Limit text length
             url: url,
-            analyze_sentiment: true,
+            analyze_sentiment: settings.emotionalAnalysis,
             analyze_category: true,
-            analyze_emotions: true,
+            analyze_emotions: settings.emotionalAnalysis,
         };
 
         Logger.api(endpoint, "POST", payload);
 
-        const response = await fetch(fullUrl, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                Authorization: AUTH_HEADER,
-            },
-            body: JSON.stringify(payload),
-        });
-
-        if (response.ok) {
-            const analysisData = await response.json();
-            Logger.api(endpoint, "POST", null, analysisData);
-            Logger.info(`Content analysis completed for ${url}`);
-
-            // Store analysis results
-            await storeContentAnalysis(url, analysisData);
-        } else {
-            const errorText = await response.text();
-            Logger.warn(
-                `Content analysis failed (${response.status}): ${response.statusText}`,
-                errorText
-            );
-        }
+        await sendOrQueue(endpoint, payload);
     } catch (error) {
         Logger.warn("Content analysis request failed:", error);
     }
@@ -1036,6 +1697,82 @@ async function storeContentAnalysis(url, analysisData) {
     }
 }
 
+// POST a JSON payload to the backend and classify the outcome.
+// Network errors, timeouts, 5xx, 401, 408 and 429 are worth retrying;
+// any other non-2xx response means the payload itself was rejected.
+async function postToAPI(endpoint, payload) {
+    const auth = await getAuthSession();
+    if (!auth) {
+        return { ok: false, retryable: true, error: "Not signed in" };
+    }
+    // Payloads recorded for another account must not go out under this one
+    if (payload.user_id && payload.user_id !== auth.userId) {
+        return {
+            ok: false,
+            retryable: false,
+            error: "Recorded for a different account",
+        };
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+
+    try {
+        const response = await fetch(`${API_BASE}${endpoint}`, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                ...authHeaders(auth),
+            },
+            body: JSON.stringify(
+                "user_id" in payload
+                    ? { ...payload, user_id: auth.userId }
+                    : payload
+            ),
+            signal: controller.signal,
+        });
+
+        if (response.ok) {
+            const responseData = await response.json().catch(() => null);
+            Logger.api(endpoint, "POST", null, responseData);
+            return { ok: true, data: responseData };
+        }
+
+        const errorText = await response.text().catch(() => "");
+        Logger.warn(
+            `API request to ${endpoint} failed (${response.status}): ${response.statusText}`,
+            errorText
+        );
+        return {
+            ok: false,
+            retryable:
+                response.status >= 500 ||
+                [401, 408, 429].includes(response.status),
+            error: `HTTP ${response.status}`,
+        };
+    } catch (error) {
+        const message =
+            error.name === "AbortError" ? "Request timed out" : error.message;
+        Logger.warn(`API request to ${endpoint} failed: ${message}`);
+        return { ok: false, retryable: true, error: message };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Handle a successful delivery, whether sent directly or from the outbox
+async function handleDelivered(endpoint, payload, responseData) {
+    if (endpoint === "/content/analyze") {
+        Logger.info(`Content analysis completed for ${payload.url}`);
+        if (responseData) {
+            await storeContentAnalysis(payload.url, responseData);
+        }
+    } else {
+        Logger.info(`Successfully sent tracking data for ${payload.url}`);
+    }
+    await recordSyncSuccess();
+}
+
 // Test API connectivity
 async function testAPIConnectivity() {
     try {
@@ -1051,7 +1788,7 @@ async function testAPIConnectivity() {
             signal: controller.signal,
             headers: {
                 "Content-Type": "application/json",
-                Authorization: AUTH_HEADER,
+                ...authHeaders(await getAuthSession()),
             },
         });
 
@@ -1069,154 +1806,1803 @@ async function testAPIConnectivity() {
             return false;
         }
     } catch (error) {
-        if (error.name === "AbortError") {
-            Logger.warn(
-                "API connectivity test timed out (backend may not be running)"
-            );
-        } else {
-            Logger.warn("API connectivity test failed:", error.message);
-        }
-        return false;
+        if (error.name === "AbortError") {
+            Logger.warn(
+                "API connectivity test timed out (backend may not be running)"
+            );
+        } else {
+            Logger.warn("API connectivity test failed:", error.message);
+        }
+        return false;
+    }
+}
+
+// === OFFLINE OUTBOX ===
+// Payloads that could not be delivered are kept in chrome.storage.local
+// and retried in order with exponential backoff on every alarm tick.
+
+const OUTBOX_ALARM = "outboxRetry";
+const OUTBOX_MAX_ENTRIES = 1000;
+const OUTBOX_BASE_DELAY = 30 * 1000; // 30 seconds
+const OUTBOX_MAX_DELAY = 60 * 60 * 1000; // 1 hour
+
+let isDrainingOutbox = false;
+let outboxLock = Promise.resolve();
+
+// Serialize read-modify-write cycles on the stored outbox
+function withOutboxLock(fn) {
+    const run = outboxLock.then(fn, fn);
+    outboxLock = run.catch(() => {});
+    return run;
+}
+
+async function loadOutbox() {
+    const stored = await chrome.storage.local.get(["outbox"]);
+    return stored.outbox || [];
+}
+
+async function enqueueOutbox(endpoint, payload, lastError = null) {
+    await withOutboxLock(async () => {
+        const outbox = await loadOutbox();
+        outbox.push({
+            id: crypto.randomUUID(),
+            endpoint,
+            payload,
+            attempts: 0,
+            createdAt: Date.now(),
+            nextAttemptAt: Date.now() + OUTBOX_BASE_DELAY,
+            lastError,
+        });
+
+        // Drop the oldest entries rather than exhaust storage quota
+        if (outbox.length > OUTBOX_MAX_ENTRIES) {
+            const dropped = outbox.splice(0, outbox.length - OUTBOX_MAX_ENTRIES);
+            Logger.warn(`Outbox full - dropped ${dropped.length} oldest entries`);
+        }
+
+        await chrome.storage.local.set({ outbox });
+        Logger.info(`📦 Queued ${endpoint} for retry (${outbox.length} pending)`);
+    });
+}
+
+async function removeOutboxEntry(id) {
+    await withOutboxLock(async () => {
+        const outbox = await loadOutbox();
+        await chrome.storage.local.set({
+            outbox: outbox.filter((entry) => entry.id !== id),
+        });
+    });
+}
+
+// Push the head entry back with exponential backoff
+async function scheduleOutboxRetry(id, error) {
+    await withOutboxLock(async () => {
+        const outbox = await loadOutbox();
+        const entry = outbox.find((e) => e.id === id);
+        if (!entry) return;
+
+        entry.attempts += 1;
+        entry.lastError = error;
+        entry.nextAttemptAt =
+            Date.now() +
+            Math.min(
+                OUTBOX_BASE_DELAY * 2 ** (entry.attempts - 1),
+                OUTBOX_MAX_DELAY
+            );
+        await chrome.storage.local.set({ outbox });
+        Logger.info(
+            `⏳ Outbox retry #${entry.attempts} for ${entry.endpoint} in ${Math.round(
+                (entry.nextAttemptAt - Date.now()) / 1000
+            )}s`
+        );
+    });
+    await updateSyncStatus({ lastError: error });
+}
+
+// Bring uploads queued before privacy mode was turned on in line with it:
+// page text is dropped and tracking data redacted
+async function redactOutbox() {
+    const salt = settings.hashDomains ? await loadPrivacySalt() : null;
+    await withOutboxLock(async () => {
+        const outbox = await loadOutbox();
+        const kept = [];
+        for (const entry of outbox) {
+            if (entry.endpoint === "/content/analyze") continue;
+            if (entry.endpoint === "/tracking/ingest") {
+                let category = null;
+                try {
+                    category = categorizeSite(entry.payload.url);
+                } catch {
+                    // Unparseable URLs are uploaded without a category
+                }
+                entry.payload = await redactIngestPayload(entry.payload, {
+                    category,
+                    salt,
+                });
+            }
+            kept.push(entry);
+        }
+        await chrome.storage.local.set({ outbox: kept });
+        if (kept.length < outbox.length) {
+            Logger.info(
+                `🕶️ Dropped ${
+                    outbox.length - kept.length
+                } queued content uploads for privacy mode`
+            );
+        }
+    });
+}
+
+// What the next tracking upload looks like with the given privacy options,
+// built from today's latest visit (or an example when there is none)
+async function previewUpload({ privacyMode, hashDomains }) {
+    const now = Date.now();
+    const visits = await getVisitsSince(startOfLocalDay(now));
+    const visit = visits[visits.length - 1];
+    const url = visit?.url || "https://www.example.com/articles/42?ref=mail";
+    const data = {
+        url,
+        domain: visit?.domain || new URL(url).hostname,
+        timeSpent: visit?.duration ?? 5 * 60 * 1000,
+        start: visit?.start ?? now - 5 * 60 * 1000,
+        end: visit?.end ?? now,
+        category: visit?.category || categorizeSite(url),
+        title: visit?.title ?? "An example article",
+    };
+    return {
+        example: !visit,
+        payload: await buildIngestPayload(data, { privacyMode, hashDomains }),
+    };
+}
+
+// Send a payload now, or queue it when the backend is unreachable.
+// Returns "sent", "queued", "failed" (rejected by the backend) or
+// "skipped" (nobody signed in).
+async function sendOrQueue(endpoint, payload) {
+    // Nobody has signed in, so there is no account to upload to
+    if (!(await loadAuthSession())) {
+        Logger.info(`Not signed in - skipping ${endpoint}`);
+        return "skipped";
+    }
+
+    // Anything already waiting must go first to keep delivery in order
+    const pending = await loadOutbox();
+    if (pending.length > 0) {
+        await enqueueOutbox(endpoint, payload, "Waiting for earlier uploads");
+        return "queued";
+    }
+
+    const result = await postToAPI(endpoint, payload);
+    if (result.ok) {
+        await handleDelivered(endpoint, payload, result.data);
+        return "sent";
+    }
+
+    await updateSyncStatus({ lastError: result.error });
+    if (result.retryable) {
+        await enqueueOutbox(endpoint, payload, result.error);
+        return "queued";
+    }
+    return "failed";
+}
+
+// Deliver queued payloads in order, stopping at the first retryable failure.
+// Pass apiReachable when connectivity was just confirmed to skip the backoff.
+async function drainOutbox({ apiReachable = false } = {}) {
+    if (isDrainingOutbox) return;
+    isDrainingOutbox = true;
+
+    try {
+        let outbox = await loadOutbox();
+        if (outbox.length === 0) return;
+
+        // Uploads wait until someone signs in again
+        if (!(await getAuthSession())) {
+            await updateSyncStatus({ lastError: "Not signed in" });
+            return;
+        }
+
+        if (!apiReachable) {
+            if (outbox[0].nextAttemptAt > Date.now()) return; // Still backing off
+
+            if (!(await testAPIConnectivity())) {
+                await scheduleOutboxRetry(outbox[0].id, "API unreachable");
+                return;
+            }
+        }
+
+        Logger.info(`📤 Draining outbox (${outbox.length} pending)`);
+
+        while (outbox.length > 0) {
+            const entry = outbox[0];
+            const result = await postToAPI(entry.endpoint, entry.payload);
+
+            if (result.ok) {
+                await removeOutboxEntry(entry.id);
+                await handleDelivered(entry.endpoint, entry.payload, result.data);
+            } else if (result.retryable) {
+                await scheduleOutboxRetry(entry.id, result.error);
+                break;
+            } else {
+                Logger.warn(
+                    `Dropping queued ${entry.endpoint} rejected by backend: ${result.error}`
+                );
+                await removeOutboxEntry(entry.id);
+            }
+
+            outbox = await loadOutbox();
+        }
+    } catch (error) {
+        Logger.error("Error draining outbox:", error);
+    } finally {
+        isDrainingOutbox = false;
+    }
+}
+
+async function updateSyncStatus(patch) {
+    const stored = await chrome.storage.local.get(["syncStatus"]);
+    await chrome.storage.local.set({
+        syncStatus: { ...(stored.syncStatus || {}), ...patch },
+    });
+}
+
+async function recordSyncSuccess() {
+    await updateSyncStatus({ lastSyncAt: Date.now(), lastError: null });
+}
+
+// Sync state for the popup
+async function getSyncStatus() {
+    const stored = await chrome.storage.local.get(["outbox", "syncStatus"]);
+    const outbox = stored.outbox || [];
+    const syncStatus = stored.syncStatus || {};
+
+    return {
+        queueDepth: outbox.length,
+        lastSyncAt: syncStatus.lastSyncAt || null,
+        lastError: syncStatus.lastError || null,
+        nextAttemptAt: outbox[0]?.nextAttemptAt || null,
+        auth: await getAuthStatus(),
+    };
+}
+
+// Get available categories from API
+async function fetchCategories() {
+    try {
+        const endpoint = "/categories/labels";
+        const fullUrl = `${API_BASE}${endpoint}`;
+
+        Logger.info("Fetching available categories...");
+
+        const response = await fetch(fullUrl, {
+            headers: authHeaders(await getAuthSession()),
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            Logger.api(endpoint, "GET", null, data);
+            Logger.info(`Fetched ${data.total} categories`);
+            return data.categories;
+        } else {
+            Logger.warn(
+                `Failed to fetch categories (${response.status}): ${response.statusText}`
+            );
+            return null;
+        }
+    } catch (error) {
+        Logger.warn("Failed to fetch categories:", error);
+        return null;
+    }
+}
+
+// === AUTHENTICATION ===
+// The signed-in user's Supabase session is kept in chrome.storage.local under
+// `auth`: { accessToken, refreshToken, userId, email, expiresAt }. Backend
+// requests send its access token and tracking payloads carry its `sub` as
+// user_id. Nothing is sent while signed out; once the token's `exp` has
+// passed and it can't be refreshed, uploads wait in the outbox until the
+// user signs in again.
+
+const TOKEN_REFRESH_MARGIN = 60 * 1000; // refresh a minute before `exp`
+
+let tokenRefresh = null;
+
+// Decode a JWT payload (the backend verifies the signature)
+function decodeJwt(token) {
+    try {
+        if (!token || typeof token !== "string") return null;
+        const parts = token.split(".");
+        if (parts.length < 2) return null;
+        const payload = parts[1].replace(/-/g, "+").replace(/_/g, "/");
+        // Base64 padding
+        const padded = payload + "=".repeat((4 - (payload.length % 4)) % 4);
+        return JSON.parse(atob(padded));
+    } catch {
+        return null;
+    }
+}
+
+async function loadAuthSession() {
+    const stored = await chrome.storage.local.get(["auth"]);
+    return stored.auth || null;
+}
+
+// Store a Supabase session ({ access_token, refresh_token, user }).
+// `source` is "extension" for Options sign-in or "dashboard" when the web
+// app handed the session over.
+async function saveAuthSession(session, source = "extension") {
+    const claims = decodeJwt(session?.access_token);
+    if (!claims?.sub || !claims.exp) {
+        throw new Error("Received an invalid access token");
+    }
+
+    const auth = {
+        accessToken: session.access_token,
+        refreshToken: session.refresh_token || null,
+        userId: claims.sub,
+        email: claims.email || session.user?.email || "",
+        expiresAt: claims.exp * 1000,
+        source,
+    };
+    await chrome.storage.local.set({ auth });
+    return auth;
+}
+
+async function requestSupabaseToken(grantType, body) {
+    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+        throw new Error(
+            "Sign-in is not configured (set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY)"
+        );
+    }
+
+    const response = await fetch(
+        `${SUPABASE_URL}/auth/v1/token?grant_type=${grantType}`,
+        {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                apikey: SUPABASE_ANON_KEY,
+            },
+            body: JSON.stringify(body),
+        }
+    );
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(
+            data.error_description ||
+                data.msg ||
+                `Sign-in failed (HTTP ${response.status})`
+        );
+    }
+    return saveAuthSession(data);
+}
+
+async function signIn(email, password) {
+    const auth = await requestSupabaseToken("password", { email, password });
+    Logger.info(`🔑 Signed in as ${auth.email}`);
+
+    // Deliver anything that waited for a valid session
+    testAPIConnectivity().then((reachable) => {
+        if (reachable) drainOutbox({ apiReachable: true });
+    });
+    return auth;
+}
+
+async function signOut() {
+    await chrome.storage.local.remove("auth");
+    Logger.info("🔒 Signed out - uploads stopped");
+}
+
+// The current session, refreshed when it is about to expire. Null when
+// signed out or when the token has expired and couldn't be refreshed.
+async function getAuthSession() {
+    const auth = await loadAuthSession();
+    if (!auth?.accessToken) return null;
+    if (auth.expiresAt - TOKEN_REFRESH_MARGIN > Date.now()) return auth;
+
+    if (auth.refreshToken) {
+        try {
+            if (!tokenRefresh) {
+                tokenRefresh = requestSupabaseToken("refresh_token", {
+                    refresh_token: auth.refreshToken,
+                }).finally(() => {
+                    tokenRefresh = null;
+                });
+            }
+            return await tokenRefresh;
+        } catch (error) {
+            Logger.warn("Token refresh failed:", error.message);
+        }
+    }
+    return auth.expiresAt > Date.now() ? auth : null;
+}
+
+// Sign-in state for the popup and Options
+async function getAuthStatus() {
+    const session = await getAuthSession();
+    const auth = session || (await loadAuthSession());
+
+    return {
+        signedIn: Boolean(session),
+        expired: Boolean(auth) && !session,
+        email: auth?.email || null,
+        userId: auth?.userId || null,
+        expiresAt: auth?.expiresAt || null,
+        source: auth?.source || null,
+        apiBaseUrl: API_BASE,
+        signInConfigured: Boolean(SUPABASE_URL && SUPABASE_ANON_KEY),
+    };
+}
+
+// Always send the access token as-is in the Authorization header (no
+// Bearer prefix)
+function authHeaders(auth) {
+    return auth ? { Authorization: auth.accessToken } : {};
+}
+
+// === SETTINGS ===
+// Settings come from the shared module in utils/settings.js. They are cached
+// here and re-applied whenever Options (or another device, through sync)
+// changes them, so toggles take effect immediately.
+
+async function loadBackgroundSettings() {
+    try {
+        await applySettings(await loadSettings(), settings);
+        domainPolicies = await loadDomainPolicies();
+    } catch (error) {
+        Logger.error("Error loading settings:", error);
+    }
+}
+
+async function applySettings(newSettings, oldSettings) {
+    settings = newSettings;
+    API_BASE = (settings.apiBaseUrl || DEFAULT_API_BASE).replace(/\/+$/, "");
+
+    if (newSettings.apiBaseUrl !== oldSettings.apiBaseUrl) {
+        Logger.info("📡 Backend URL:", API_BASE);
+    }
+    if (
+        newSettings.idleDetectionInterval !== oldSettings.idleDetectionInterval
+    ) {
+        await applyIdleDetectionInterval();
+    }
+    if (newSettings.trackingEnabled !== oldSettings.trackingEnabled) {
+        await handleTrackingEnabledChange();
+    }
+    if (newSettings.syncDashboardLimits !== oldSettings.syncDashboardLimits) {
+        await scheduleDashboardLimitSync();
+    }
+    if (
+        JSON.stringify(newSettings.trackingSchedule) !==
+        JSON.stringify(oldSettings.trackingSchedule)
+    ) {
+        await applyTrackingSchedule();
+    }
+    if (newSettings.badgeMode !== oldSettings.badgeMode) {
+        await updateBadge();
+    }
+    if (
+        newSettings.privacyMode &&
+        (!oldSettings.privacyMode ||
+            newSettings.hashDomains !== oldSettings.hashDomains)
+    ) {
+        await redactOutbox();
+    }
+}
+
+// Close the running interval when tracking is switched off in Options, and
+// start timing the current tab again when it is switched back on
+async function handleTrackingEnabledChange() {
+    if (!settings.trackingEnabled && currentActiveTab && tabStartTime) {
+        await saveTabTime(currentActiveTab, Date.now() - tabStartTime);
+        tabStartTime = null;
+    } else if (
+        settings.trackingEnabled &&
+        currentActiveTab &&
+        isTimingAllowed()
+    ) {
+        tabStartTime = Date.now();
+    }
+    Logger.info(
+        `Tracking ${settings.trackingEnabled ? "enabled" : "disabled"} in settings`
+    );
+    await persistTrackingCursor();
+}
+
+onSettingsChanged((newSettings, oldSettings) => {
+    stateReady
+        .then(() => applySettings(newSettings, oldSettings))
+        .then(() => {
+            // Pull the dashboard's limits right away when sync is turned on
+            if (
+                newSettings.syncDashboardLimits &&
+                !oldSettings.syncDashboardLimits
+            ) {
+                return syncDashboardLimits();
+            }
+        })
+        .catch((error) => Logger.error("Error applying settings:", error));
+});
+
+onDomainPoliciesChanged((newPolicies) => {
+    domainPolicies = newPolicies;
+});
+
+// === CATEGORY RULES ===
+// Sites are categorized by the rule engine in utils/categoryRules.js, using
+// the user's rules from Options together with the defaults.
+
+// Category for `url` and why: a matching rule, else a pending content guess.
+// `rules` defaults to the user's current rules.
+function explainSite(url, rules = userRules) {
+    const explained = explainCategory(url, rules);
+    if (explained.rule) return { ...explained, guess: null };
+
+    const guess = getCategoryGuess(url);
+    if (guess?.status === "pending") {
+        return {
+            ...explained,
+            category: guess.category,
+            reason: `Guessed from page content (${Math.round(
+                guess.confidence * 100
+            )}% confident: ${guess.terms.join(", ")})`,
+            guess,
+        };
+    }
+    return { ...explained, guess: null };
+}
+
+function categorizeSite(url) {
+    return explainSite(url).category;
+}
+
+async function loadCategoryRules() {
+    try {
+        // Migrates the old `userCategories` map on first run
+        userRules = await loadUserRules();
+        taxonomy = await loadTaxonomy();
+        const res = await chrome.storage.local.get({
+            categoryGuesses: {},
+            categoryExamples: [],
+            pageFeatures: {},
+            dismissedSuggestions: [],
+        });
+        categoryGuesses = res.categoryGuesses || {};
+        categoryExamples = res.categoryExamples || [];
+        pageFeatures = res.pageFeatures || {};
+        dismissedSuggestions = res.dismissedSuggestions || [];
+    } catch (error) {
+        Logger.error("Error loading category rules:", error);
+    }
+}
+
+// Point a session's site records and category counts at `to` instead of
+// `from`. Returns whether anything changed.
+function reassignSessionCategory(session, from, to) {
+    let changed = false;
+    Object.values(session.sites || {}).forEach((site) => {
+        if (site.category === from) {
+            site.category = to;
+            changed = true;
+        }
+    });
+    if (session.categories?.[from] !== undefined) {
+        session.categories[to] =
+            (session.categories[to] || 0) + session.categories[from];
+        delete session.categories[from];
+        changed = true;
+    }
+    return changed;
+}
+
+// Remove a user-created category. Its rules and recorded history move to
+// `replacement`, which is also how a category is merged into another one.
+async function deleteCategory(categoryId, replacement = CATEGORIES.OTHER) {
+    const current = await loadTaxonomy();
+    const category = current.find((entry) => entry.id === categoryId);
+    if (!category) throw new Error("Unknown category");
+    if (category.builtIn) {
+        throw new Error("Built-in categories cannot be deleted");
+    }
+    if (
+        replacement === categoryId ||
+        !current.some((entry) => entry.id === replacement)
+    ) {
+        throw new Error("Choose another category to move its history to");
+    }
+
+    const reassigned = await reassignCategoryHistory(categoryId, replacement);
+    reassignSessionCategory(currentSession, categoryId, replacement);
+    await calculateProductivityScore();
+    await updateStoredData();
+
+    userRules = userRules.map((rule) =>
+        rule.category === categoryId ? { ...rule, category: replacement } : rule
+    );
+    await saveUserRules(userRules);
+
+    categoryExamples = categoryExamples.map((example) =>
+        example.category === categoryId
+            ? { ...example, category: replacement }
+            : example
+    );
+    await chrome.storage.local.set({ categoryExamples });
+
+    taxonomy = current.filter((entry) => entry.id !== categoryId);
+    await saveTaxonomy(taxonomy);
+
+    Logger.info(
+        `🏷️ Deleted category ${categoryId}, ${reassigned} visit(s) moved to ${replacement}`
+    );
+    return { success: true, reassigned };
+}
+
+// Re-apply categories to a session's site records and rebuild its category
+// counts from them. Returns how many sites changed category.
+function recategorizeSessionSites(session) {
+    let changed = 0;
+    Object.values(session.sites || {}).forEach((site) => {
+        if (!site.url) return;
+        const category = categorizeSite(site.url);
+        if (site.category !== category) {
+            site.category = category;
+            changed += 1;
+        }
+    });
+    if (changed === 0) return 0;
+
+    // Category counts follow the site records
+    session.categories = {};
+    Object.values(session.sites).forEach((site) => {
+        session.categories[site.category] =
+            (session.categories[site.category] || 0) + (site.visits || 0);
+    });
+    return changed;
+}
+
+// Re-apply categories to the sites already in the current session, so a
+// correction shows up in the popup and analytics without new visits
+async function recategorizeCurrentSession() {
+    const changed = recategorizeSessionSites(currentSession);
+    if (changed === 0) return;
+
+    await calculateProductivityScore();
+    await updateStoredData();
+    Logger.info(`🏷️ Recategorized ${changed} site(s) in the current session`);
+}
+
+// What replacing the user's rules with `rules` would do to the recorded
+// history: { domain, from, to, visits, time } for each site and category
+// change, most time first
+async function previewCategoryRules(rules) {
+    const visits = await getAllRecords("visits");
+    const categoryByUrl = new Map();
+    const changes = {};
+
+    visits.forEach((visit) => {
+        if (!visit.url) return;
+        if (!categoryByUrl.has(visit.url)) {
+            categoryByUrl.set(
+                visit.url,
+                explainSite(visit.url, rules).category
+            );
+        }
+        const to = categoryByUrl.get(visit.url);
+        if (to === visit.category) return;
+
+        const key = `${visit.domain}|${visit.category}|${to}`;
+        const change = (changes[key] = changes[key] || {
+            domain: visit.domain,
+            from: visit.category,
+            to,
+            visits: 0,
+            time: 0,
+        });
+        change.visits += 1;
+        change.time += visit.duration || 0;
+    });
+
+    return Object.values(changes).sort((a, b) => b.time - a.time);
+}
+
+// Re-apply the current rules to every stored visit and session
+async function recategorizeHistory() {
+    const db = await openEventStore();
+    const tx = db.transaction(["visits", "sessions"], "readwrite");
+    let recategorized = 0;
+
+    const visitCursor = tx.objectStore("visits").openCursor();
+    visitCursor.onsuccess = () => {
+        const cursor = visitCursor.result;
+        if (cursor) {
+            const visit = cursor.value;
+            const category = visit.url
+                ? categorizeSite(visit.url)
+                : visit.category;
+            if (category !== visit.category) {
+                cursor.update({ ...visit, category });
+                recategorized += 1;
+            }
+            cursor.continue();
+        }
+    };
+
+    const sessionCursor = tx.objectStore("sessions").openCursor();
+    sessionCursor.onsuccess = () => {
+        const cursor = sessionCursor.result;
+        if (cursor) {
+            const session = cursor.value;
+            if (recategorizeSessionSites(session) > 0) cursor.update(session);
+            cursor.continue();
+        }
+    };
+
+    await transactionDone(tx);
+    return recategorized;
+}
+
+// Replace the user's rules (and taxonomy, for imported categories) and
+// bring the recorded history in line with them
+async function applyCategoryRules(rules, newTaxonomy) {
+    if (newTaxonomy) {
+        taxonomy = newTaxonomy;
+        await saveTaxonomy(taxonomy);
+    }
+    userRules = rules;
+    await saveUserRules(userRules);
+
+    const recategorized = await recategorizeHistory();
+    await recategorizeCurrentSession();
+    Logger.info(`🏷️ Applied category rules, ${recategorized} visit(s) moved`);
+    return { success: true, recategorized };
+}
+
+onTaxonomyChanged((newTaxonomy) => {
+    taxonomy = newTaxonomy;
+    calculateProductivityScore().catch((error) =>
+        Logger.error("Error applying categories:", error)
+    );
+});
+
+onUserRulesChanged((rules) => {
+    stateReady
+        .then(async () => {
+            // A host rule added in Options is a correction to learn from
+            const known = new Set(userRules.map((rule) => rule.id));
+            const added = rules.filter(
+                (rule) =>
+                    !known.has(rule.id) &&
+                    (rule.type === RULE_TYPES.EXACT ||
+                        rule.type === RULE_TYPES.SUFFIX)
+            );
+            userRules = rules;
+            await applyBlockingRules();
+            for (const rule of added) {
+                await recordCorrection(rule.pattern, rule.category);
+            }
+            return recategorizeCurrentSession();
+        })
+        .catch((error) =>
+            Logger.error("Error applying category rules:", error)
+        );
+});
+
+// === CONTENT CATEGORIZATION ===
+// Sites no rule matches are classified from the title, meta tags and text
+// the content script sends. A confident guess is used until the user
+// confirms it (it becomes a rule) or rejects it (the site stays "other" and
+// is not guessed again).
+
+function getCategoryGuess(url) {
+    try {
+        return categoryGuesses[new URL(url).hostname] || null;
+    } catch {
+        return null;
+    }
+}
+
+async function saveCategoryGuesses() {
+    await chrome.storage.local.set({ categoryGuesses });
+}
+
+async function guessCategoryFromContent(url, page) {
+    if (!settings.contentScanning) return;
+    if (explainCategory(url, userRules).rule) return;
+
+    const domain = new URL(url).hostname;
+    const existing = categoryGuesses[domain];
+    if (existing?.status === "rejected") return;
+
+    const result = classifyPage(page, taxonomy);
+    if (!result || result.confidence < MIN_GUESS_CONFIDENCE) return;
+    if (existing && existing.confidence >= result.confidence) return;
+
+    categoryGuesses[domain] = {
+        ...result,
+        status: "pending",
+        guessedAt: Date.now(),
+    };
+    await saveCategoryGuesses();
+    Logger.info(
+        `🔎 Guessed ${domain} as ${result.category} (${result.confidence})`
+    );
+    await recategorizeCurrentSession();
+}
+
+function getPendingGuesses() {
+    return Object.entries(categoryGuesses)
+        .filter(([, guess]) => guess.status === "pending")
+        .map(([domain, guess]) => ({ domain, ...guess }))
+        .sort((a, b) => b.guessedAt - a.guessedAt);
+}
+
+// Keep the guess as a rule for this host
+async function confirmCategoryGuess(domain) {
+    const guess = categoryGuesses[domain];
+    if (!guess) throw new Error("No guess for this site");
+
+    userRules = [
+        ...userRules,
+        {
+            id: createRuleId(),
+            type: RULE_TYPES.EXACT,
+            pattern: domain,
+            category: guess.category,
+            priority: USER_RULE_PRIORITY,
+            source: "user",
+        },
+    ];
+    delete categoryGuesses[domain];
+    await saveCategoryGuesses();
+    await saveUserRules(userRules);
+    await recordCorrection(domain, guess.category);
+    await recategorizeCurrentSession();
+    return { success: true, category: guess.category };
+}
+
+async function rejectCategoryGuess(domain) {
+    const guess = categoryGuesses[domain];
+    if (!guess) throw new Error("No guess for this site");
+
+    categoryGuesses[domain] = { ...guess, status: "rejected" };
+    await saveCategoryGuesses();
+    await recategorizeCurrentSession();
+    return { success: true };
+}
+
+// === CATEGORY LEARNING ===
+// Every category the user assigns to a site is stored as an example along
+// with that site's page features. Sites that resemble an example are offered
+// as suggestions in Options, where they can be accepted in bulk.
+
+const MAX_PAGE_FEATURES = 500;
+
+async function rememberPageFeatures(domain, page) {
+    pageFeatures[domain] = {
+        ...extractPageFeatures({ ...page, topics: extractTopics(page.text) }),
+        seenAt: Date.now(),
+    };
+
+    // Keep the most recently seen sites only
+    const domains = Object.keys(pageFeatures);
+    if (domains.length > MAX_PAGE_FEATURES) {
+        domains
+            .sort((a, b) => pageFeatures[a].seenAt - pageFeatures[b].seenAt)
+            .slice(0, domains.length - MAX_PAGE_FEATURES)
+            .forEach((stale) => delete pageFeatures[stale]);
+    }
+    await chrome.storage.local.set({ pageFeatures });
+}
+
+async function recordCorrection(domain, category) {
+    const features = pageFeatures[domain] || { tokens: [], topics: [] };
+    categoryExamples = [
+        ...categoryExamples.filter((example) => example.domain !== domain),
+        {
+            domain,
+            category,
+            features: { tokens: features.tokens, topics: features.topics },
+            at: Date.now(),
+        },
+    ].slice(-MAX_EXAMPLES);
+    await chrome.storage.local.set({ categoryExamples });
+}
+
+// Sites the user has not categorized themselves
+function getSuggestionCandidates() {
+    const labelled = new Set(categoryExamples.map((example) => example.domain));
+    const domains = new Set([
+        ...Object.keys(pageFeatures),
+        ...Object.keys(currentSession.sites),
+    ]);
+
+    return [...domains]
+        .filter(
+            (domain) =>
+                !labelled.has(domain) && !dismissedSuggestions.includes(domain)
+        )
+        .filter((domain) => {
+            const { rule } = explainCategory(`https://${domain}/`, userRules);
+            return rule?.source !== "user";
+        })
+        .map((domain) => ({
+            domain,
+            features: pageFeatures[domain] || { tokens: [], topics: [] },
+            category: categorizeSite(`https://${domain}/`),
+        }));
+}
+
+function getCategorySuggestions() {
+    return suggestCategories(categoryExamples, getSuggestionCandidates());
+}
+
+// Accept suggestions ({ domain, category } items) as rules in one save
+async function acceptCategorySuggestions(items = []) {
+    const rules = items.map((item) => ({
+        id: createRuleId(),
+        type: RULE_TYPES.EXACT,
+        pattern: item.domain,
+        category: item.category,
+        priority: USER_RULE_PRIORITY,
+        source: "user",
+    }));
+    userRules = [...userRules, ...rules];
+    await saveUserRules(userRules);
+    for (const item of items) {
+        await recordCorrection(item.domain, item.category);
+    }
+    await recategorizeCurrentSession();
+    return { success: true, accepted: rules.length };
+}
+
+async function dismissCategorySuggestions(domains = []) {
+    dismissedSuggestions = [...new Set([...dismissedSuggestions, ...domains])];
+    await chrome.storage.local.set({ dismissedSuggestions });
+    return { success: true };
+}
+
+// === SITE BLOCKING ===
+// Focus mode and daily limits both block sites with declarativeNetRequest
+// dynamic rules built in utils/siteBlocking.js. They share one rule set so
+// their priorities are worked out together: a reached limit cannot be
+// bypassed, and a focus bypass only lifts focus mode's own blocks.
+
+// Dynamic rule ids reserved for site blocking
+const BLOCK_RULE_IDS = { first: 1, last: 4999 };
+
+// Replace the dynamic rules with ids in `range` by `rules`
+async function setDynamicRuleRange(range, rules) {
+    const existing = await chrome.declarativeNetRequest.getDynamicRules();
+    await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: existing
+            .map((rule) => rule.id)
+            .filter((id) => id >= range.first && id <= range.last),
+        addRules: rules
+            .slice(0, range.last - range.first + 1)
+            .map((rule, index) => ({ ...rule, id: range.first + index })),
+    });
+}
+
+// User regex rules can use syntax declarativeNetRequest (RE2) rejects
+async function dropUnsupportedRegexRules(rules) {
+    const supported = [];
+    for (const rule of rules) {
+        const { isSupported, reason } =
+            await chrome.declarativeNetRequest.isRegexSupported({
+                regex: rule.condition.regexFilter,
+            });
+        if (isSupported) {
+            supported.push(rule);
+        } else {
+            Logger.info(
+                `🚧 Not blocking ${rule.condition.regexFilter}: ${reason}`
+            );
+        }
+    }
+    return supported;
+}
+
+// Why `url` is blocked right now as { reason, limit }, or null
+function getBlockReason(url) {
+    const { hostname } = new URL(url);
+    const { category } = explainCategory(url, userRules);
+    const limit = findReachedLimit(
+        limits,
+        limitState.reached,
+        hostname,
+        category
+    );
+    if (limit) return { reason: BLOCK_REASONS.LIMIT, limit };
+    if (isBlockedByFocus(focusSession, hostname, category)) {
+        return { reason: BLOCK_REASONS.FOCUS, limit: null };
+    }
+    return null;
+}
+
+async function applyBlockingRules() {
+    const focusBlocks = getFocusBlocks(focusSession);
+    const limitBlocks = getLimitBlocks(limits, limitState.reached);
+    const blocks = {
+        categories: { ...focusBlocks.categories, ...limitBlocks.categories },
+        domains: [
+            ...limitBlocks.domains,
+            // A focus bypass must not reopen a site that is over its limit
+            ...focusBlocks.domains.filter(
+                ({ domain, reason }) =>
+                    reason ||
+                    getBlockReason(`https://${domain}/`)?.reason !==
+                        BLOCK_REASONS.LIMIT
+            ),
+        ],
+    };
+    const rules = buildBlockRules(
+        blocks,
+        userRules,
+        chrome.runtime.getURL(BLOCK_PAGE)
+    );
+
+    try {
+        await setDynamicRuleRange(BLOCK_RULE_IDS, rules);
+    } catch (error) {
+        Logger.error("Blocking rules rejected, retrying without them:", error);
+        await setDynamicRuleRange(
+            BLOCK_RULE_IDS,
+            await dropUnsupportedRegexRules(rules)
+        );
+    }
+}
+
+// Blocking only applies to new navigations, so send tabs that are already
+// open on a blocked site to the block page
+async function redirectBlockedTabs() {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        if (!tab.url || !/^https?:/.test(tab.url)) continue;
+        const blocked = getBlockReason(tab.url);
+        if (blocked) {
+            await chrome.tabs.update(tab.id, {
+                url: blockPageUrl(
+                    chrome.runtime.getURL(BLOCK_PAGE),
+                    blocked.reason,
+                    tab.url
+                ),
+            });
+        }
+    }
+}
+
+// === FOCUS MODE ===
+// A focus session blocks chosen categories and domains for a set time.
+// Alarms end the session and expire bypasses while the worker sleeps.
+
+const FOCUS_END_ALARM = "focusEnd";
+const FOCUS_BYPASS_ALARM = "focusBypassExpiry";
+
+async function saveFocusSession() {
+    if (focusSession) {
+        await chrome.storage.local.set({ [FOCUS_KEY]: focusSession });
+    } else {
+        await chrome.storage.local.remove(FOCUS_KEY);
+    }
+}
+
+async function scheduleBypassExpiry() {
+    const now = Date.now();
+    const pending = Object.values(focusSession?.bypasses || {}).filter(
+        (until) => until > now
+    );
+    if (pending.length === 0) {
+        await chrome.alarms.clear(FOCUS_BYPASS_ALARM);
+    } else {
+        await chrome.alarms.create(FOCUS_BYPASS_ALARM, {
+            when: Math.min(...pending),
+        });
+    }
+}
+
+async function startFocus({ minutes, categories = [], domains = [] }) {
+    const duration = Number(minutes);
+    if (!Number.isFinite(duration) || duration <= 0 || duration > 24 * 60) {
+        throw new Error("Choose a focus length between 1 minute and 24 hours");
+    }
+    const blockedDomains = Array.isArray(domains)
+        ? parseFocusDomains(domains.join(" "))
+        : parseFocusDomains(domains);
+    if (categories.length === 0 && blockedDomains.length === 0) {
+        throw new Error("Choose at least one category or domain to block");
+    }
+
+    const now = Date.now();
+    focusSession = {
+        startedAt: now,
+        endsAt: now + duration * 60 * 1000,
+        categories,
+        domains: blockedDomains,
+        bypasses: {},
+    };
+    await saveFocusSession();
+    await chrome.alarms.create(FOCUS_END_ALARM, { when: focusSession.endsAt });
+    await applyBlockingRules();
+    await redirectBlockedTabs();
+
+    Logger.info(
+        `🎯 Focus mode on for ${duration} min, blocking ${[
+            ...categories,
+            ...blockedDomains,
+        ].join(", ")}`
+    );
+    return { success: true, focus: focusSession };
+}
+
+async function stopFocus() {
+    const wasActive = focusSession !== null;
+    focusSession = null;
+    await saveFocusSession();
+    await chrome.alarms.clear(FOCUS_END_ALARM);
+    await chrome.alarms.clear(FOCUS_BYPASS_ALARM);
+    await applyBlockingRules();
+    if (wasActive) Logger.info("🎯 Focus mode off");
+    return { success: true };
+}
+
+// "Allow 5 minutes" from the block page: unblock the site's domain for a
+// while and log the bypass
+async function bypassFocus(url) {
+    if (!isFocusActive(focusSession)) {
+        throw new Error("Focus mode is not on");
+    }
+    if (getBlockReason(url)?.reason === BLOCK_REASONS.LIMIT) {
+        throw new Error("This site has reached its daily limit");
+    }
+    const parsed = new URL(url);
+    const domain = parsed.hostname.replace(/^www\./, "");
+    const now = Date.now();
+    const until = Math.min(
+        now + BYPASS_MINUTES * 60 * 1000,
+        focusSession.endsAt
+    );
+
+    focusSession.bypasses = { ...focusSession.bypasses, [domain]: until };
+    await saveFocusSession();
+
+    const res = await chrome.storage.local.get({ [FOCUS_BYPASSES_KEY]: [] });
+    const log = [
+        ...res[FOCUS_BYPASSES_KEY],
+        {
+            domain,
+            url,
+            category: explainCategory(url, userRules).category,
+            at: now,
+            until,
+            focusStartedAt: focusSession.startedAt,
+        },
+    ].slice(-MAX_BYPASS_LOG);
+    await chrome.storage.local.set({ [FOCUS_BYPASSES_KEY]: log });
+
+    await applyBlockingRules();
+    await scheduleBypassExpiry();
+    Logger.info(`🎯 Focus bypass for ${domain} until ${new Date(until)}`);
+    return { success: true, until };
+}
+
+async function expireFocusBypasses() {
+    if (!focusSession) return;
+    const now = Date.now();
+    focusSession.bypasses = Object.fromEntries(
+        Object.entries(focusSession.bypasses || {}).filter(
+            ([, until]) => until > now
+        )
+    );
+    await saveFocusSession();
+    await applyBlockingRules();
+    await scheduleBypassExpiry();
+    await redirectBlockedTabs();
+}
+
+async function getFocusState() {
+    const res = await chrome.storage.local.get({ [FOCUS_BYPASSES_KEY]: [] });
+    const bypasses = focusSession
+        ? res[FOCUS_BYPASSES_KEY].filter(
+              (entry) => entry.focusStartedAt === focusSession.startedAt
+          )
+        : [];
+    return {
+        focus: isFocusActive(focusSession) ? focusSession : null,
+        bypasses,
+    };
+}
+
+// Dynamic rules outlive the worker; make them match the stored session
+async function restoreFocusMode() {
+    focusSession = await loadFocusSession();
+    if (focusSession && !isFocusActive(focusSession)) {
+        await stopFocus();
+        return;
+    }
+    await applyBlockingRules();
+    if (focusSession) {
+        await chrome.alarms.create(FOCUS_END_ALARM, {
+            when: focusSession.endsAt,
+        });
+        await scheduleBypassExpiry();
+    }
+}
+
+// === DAILY LIMITS ===
+// Daily time limits per domain or category (utils/timeLimits.js), checked
+// against today's saved visits plus the running interval. A notification
+// warns at LIMIT_WARNING_RATIO of a limit; at the limit the site is blocked
+// until local midnight. Which limits were warned about or reached is kept
+// under `limitState` so each notification fires once a day.
+
+const LIMIT_CHECK_ALARM = "limitCheck";
+const LIMIT_RESET_ALARM = "limitReset";
+const LIMIT_SYNC_ALARM = "limitSync";
+
+async function loadDailyLimits() {
+    try {
+        limits = await loadLimits();
+        const res = await chrome.storage.local.get(["limitState"]);
+        if (res.limitState) limitState = res.limitState;
+    } catch (error) {
+        Logger.error("Error loading daily limits:", error);
+    }
+}
+
+async function saveLimitState() {
+    await chrome.storage.local.set({ limitState });
+}
+
+// Milliseconds spent today per hostname and per category. The running
+// interval is left out when it has just been saved.
+async function getTodayUsage(now = Date.now(), includeLive = true) {
+    const usage = { domains: {}, categories: {} };
+    const add = (domain, category, time) => {
+        usage.domains[domain] = (usage.domains[domain] || 0) + time;
+        usage.categories[category] = (usage.categories[category] || 0) + time;
+    };
+
+    const visits = await getVisitsSince(startOfLocalDay(now));
+    visits.forEach((visit) =>
+        add(visit.domain, visit.category, visit.duration)
+    );
+
+    if (
+        includeLive &&
+        currentActiveTab &&
+        tabStartTime &&
+        !isExcludedSite(currentActiveTab)
+    ) {
+        const since = Math.max(tabStartTime, startOfLocalDay(now));
+        add(
+            new URL(currentActiveTab).hostname,
+            categorizeSite(currentActiveTab),
+            now - since
+        );
+    }
+    return usage;
+}
+
+// Forget yesterday's warnings and unblock everything once the day turns
+async function resetLimitsIfNewDay(now = Date.now()) {
+    const today = startOfLocalDay(now);
+    if (limitState.day === today) return false;
+    const hadReached = limitState.reached.length > 0;
+    limitState = { day: today, warned: [], reached: [] };
+    await saveLimitState();
+    await chrome.alarms.create(LIMIT_RESET_ALARM, {
+        when: nextLocalMidnight(now),
+    });
+    if (hadReached) {
+        await applyBlockingRules();
+        Logger.info("⏳ Daily limits reset");
+    }
+    return true;
+}
+
+function describeLimit(limit) {
+    return limit.type === LIMIT_TYPES.CATEGORY
+        ? findCategory(limit.target, taxonomy).name
+        : limit.target;
+}
+
+async function notifyLimit(limit, used, reached) {
+    const usedMinutes = Math.round(used / 60000);
+    const name = describeLimit(limit);
+    try {
+        await chrome.notifications.create(`limit-${limit.id}`, {
+            type: "basic",
+            iconUrl: "icons/icon128.png",
+            title: reached
+                ? `Daily limit reached: ${name}`
+                : `Almost at your limit for ${name}`,
+            message: reached
+                ? `You've spent ${usedMinutes} of ${limit.minutes} minutes today. It's blocked until midnight.`
+                : `You've spent ${usedMinutes} of ${limit.minutes} minutes today.`,
+        });
+    } catch (error) {
+        Logger.warn("Could not show limit notification:", error);
+    }
+}
+
+// Compare today's usage with every limit, warn about and block the ones
+// that were just passed. Returns the evaluation for the UI.
+async function checkLimits({ includeLive = true } = {}) {
+    const now = Date.now();
+    await resetLimitsIfNewDay(now);
+    if (limits.length === 0 && limitState.reached.length === 0) return [];
+
+    const status = evaluateLimits(
+        limits,
+        await getTodayUsage(now, includeLive)
+    );
+    const reached = status
+        .filter(({ ratio }) => ratio >= 1)
+        .map(({ limit }) => limit.id);
+    const newlyReached = status.filter(
+        ({ limit, ratio }) =>
+            ratio >= 1 && !limitState.reached.includes(limit.id)
+    );
+    const newlyWarned = status.filter(
+        ({ limit, ratio }) =>
+            ratio >= LIMIT_WARNING_RATIO &&
+            ratio < 1 &&
+            !limitState.warned.includes(limit.id)
+    );
+
+    for (const { limit, used } of newlyWarned) {
+        await notifyLimit(limit, used, false);
+    }
+    for (const { limit, used } of newlyReached) {
+        await notifyLimit(limit, used, true);
+        Logger.info(`⏳ Daily limit reached: ${describeLimit(limit)}`);
+    }
+
+    const reachedChanged =
+        reached.length !== limitState.reached.length ||
+        reached.some((id) => !limitState.reached.includes(id));
+    if (reachedChanged || newlyWarned.length > 0) {
+        limitState = {
+            ...limitState,
+            warned: [
+                ...limitState.warned,
+                ...newlyWarned.map(({ limit }) => limit.id),
+            ],
+            reached,
+        };
+        await saveLimitState();
+    }
+    if (reachedChanged) {
+        await applyBlockingRules();
+        await redirectBlockedTabs();
+    }
+    return status;
+}
+
+// Limits with today's usage, for Options and the block page
+async function getLimitStatus() {
+    const status = await checkLimits();
+    return {
+        limits: status.map(({ limit, used, ratio }) => ({
+            ...limit,
+            used,
+            ratio,
+            reached: limitState.reached.includes(limit.id),
+        })),
+        resetsAt: nextLocalMidnight(Date.now()),
+    };
+}
+
+// Replace the dashboard's limits with the `limit` of each website in the
+// dashboard settings
+async function syncDashboardLimits() {
+    if (!settings.syncDashboardLimits) {
+        throw new Error("Turn on dashboard limit sync first");
+    }
+    const auth = await getAuthSession();
+    if (!auth) {
+        throw new Error("Sign in to sync limits from the dashboard");
+    }
+    const response = await fetch(`${API_BASE}/dashboard/settings`, {
+        headers: authHeaders(auth),
+    });
+    if (!response.ok) {
+        throw new Error(
+            `Dashboard settings request failed: ${response.status}`
+        );
+    }
+    const data = await response.json();
+    const dashboardLimits = limitsFromDashboard(data.websites);
+    limits = await saveLimits(
+        mergeDashboardLimits(await loadLimits(), dashboardLimits)
+    );
+    await checkLimits();
+    Logger.info(`⏳ Synced ${dashboardLimits.length} limits from dashboard`);
+    return { success: true, synced: dashboardLimits.length };
+}
+
+// Sync hourly while the setting is on. Synced limits can't be removed in
+// Options, so turning it off drops them as well.
+async function scheduleDashboardLimitSync() {
+    if (settings.syncDashboardLimits) {
+        await ensureAlarm(LIMIT_SYNC_ALARM, { periodInMinutes: 60 });
+        return;
+    }
+
+    await chrome.alarms.clear(LIMIT_SYNC_ALARM);
+    if (limits.some((limit) => limit.source === "dashboard")) {
+        limits = await saveLimits(mergeDashboardLimits(limits, []));
+        await checkLimits();
+        Logger.info("⏳ Removed dashboard limits, sync is off");
+    }
+}
+
+onLimitsChanged((newLimits) => {
+    stateReady
+        .then(async () => {
+            limits = newLimits;
+            await checkLimits();
+        })
+        .catch((error) => Logger.error("Error applying limits:", error));
+});
+
+// === POMODORO ===
+// Work blocks and breaks of the configured lengths take turns until the
+// timer is stopped, each change driven by an alarm. The toolbar badge
+// counts down the minutes left. Every work block is added to the session's
+// annotations with how much of it went to productive and distracting
+// categories.
+
+const POMODORO_PHASE_ALARM = "pomodoroPhase";
+const POMODORO_BADGE_COLORS = {
+    [POMODORO_PHASES.WORK]: "#E53935",
+    [POMODORO_PHASES.BREAK]: "#43A047",
+};
+// A phase that ended this long ago was missed while the browser was closed
+const POMODORO_STALE_AFTER = 10 * 60 * 1000;
+
+async function savePomodoro() {
+    if (pomodoro) {
+        await chrome.storage.local.set({ [POMODORO_KEY]: pomodoro });
+    } else {
+        await chrome.storage.local.remove(POMODORO_KEY);
+    }
+}
+
+// Save the running interval up to `now` so a block's time is all in visits
+async function bankRunningInterval(now = Date.now()) {
+    if (!currentActiveTab || !tabStartTime || tabStartTime >= now) return;
+    await saveTabTime(currentActiveTab, now - tabStartTime, now);
+    tabStartTime = now;
+    await persistTrackingCursor();
+}
+
+async function startPomodoroPhase(phase, now = Date.now()) {
+    // Start a work block on a fresh interval so its visits begin inside it
+    if (phase === POMODORO_PHASES.WORK) await bankRunningInterval(now);
+    const minutes =
+        phase === POMODORO_PHASES.WORK
+            ? pomodoro.workMinutes
+            : pomodoro.breakMinutes;
+    pomodoro = {
+        ...pomodoro,
+        phase,
+        phaseStartedAt: now,
+        endsAt: now + minutes * 60 * 1000,
+    };
+    await savePomodoro();
+    await chrome.alarms.create(POMODORO_PHASE_ALARM, {
+        when: pomodoro.endsAt,
+    });
+    await updateBadge();
+}
+
+// Record the work block that ran until `end` as a session annotation
+async function finishWorkBlock(end, completed) {
+    await bankRunningInterval(end);
+    const start = pomodoro.phaseStartedAt;
+    const visits = await getVisitsSince(start);
+    const block = {
+        type: "focus_block",
+        start,
+        end,
+        completed,
+        ...summarizeProductivity(
+            blockCategoryTimes(visits, start, end),
+            taxonomy
+        ),
+    };
+
+    await ensureSessionDay(end);
+    if (!currentSession.annotations) currentSession.annotations = [];
+    currentSession.annotations.push(block);
+    await updateStoredData();
+
+    pomodoro = {
+        ...pomodoro,
+        blocks: pomodoro.blocks + (completed ? 1 : 0),
+        lastBlock: block,
+    };
+    Logger.info(
+        `🍅 Focus block ${completed ? "done" : "stopped"}: ${Math.round(
+            block.productiveTime / 60000
+        )}m productive, ${Math.round(
+            block.distractingTime / 60000
+        )}m distracting`
+    );
+    return block;
+}
+
+async function notifyPomodoro(title, message) {
+    try {
+        await chrome.notifications.create("pomodoro", {
+            type: "basic",
+            iconUrl: "icons/icon128.png",
+            title,
+            message,
+        });
+    } catch (error) {
+        Logger.warn("Could not show pomodoro notification:", error);
     }
 }
 
-// Get available categories from API
-async function fetchCategories() {
-    try {
-        const endpoint = "/categories/labels";
-        const fullUrl = `${API_BASE}${endpoint}`;
+async function startPomodoro({ workMinutes, breakMinutes }) {
+    const work = Number(workMinutes);
+    const rest = Number(breakMinutes);
+    const error = validatePomodoroLengths(work, rest);
+    if (error) throw new Error(error);
+
+    pomodoro = { workMinutes: work, breakMinutes: rest, blocks: 0 };
+    await startPomodoroPhase(POMODORO_PHASES.WORK);
+    await updateSettings({
+        pomodoroWorkMinutes: work,
+        pomodoroBreakMinutes: rest,
+    });
+    Logger.info(`🍅 Pomodoro started: ${work} min work, ${rest} min break`);
+    return { success: true, pomodoro };
+}
 
-        Logger.info("Fetching available categories...");
+async function stopPomodoro() {
+    if (!isPomodoroRunning(pomodoro)) return { success: true };
+
+    // A block stopped early is still recorded, unless it barely started
+    const now = Math.min(Date.now(), pomodoro.endsAt);
+    let block = null;
+    if (
+        pomodoro.phase === POMODORO_PHASES.WORK &&
+        now - pomodoro.phaseStartedAt >= 60 * 1000
+    ) {
+        block = await finishWorkBlock(now, false);
+    }
+    pomodoro = null;
+    await savePomodoro();
+    await chrome.alarms.clear(POMODORO_PHASE_ALARM);
+    await updateBadge();
+    Logger.info("🍅 Pomodoro stopped");
+    return { success: true, block };
+}
 
-        const response = await fetch(fullUrl, {
-            headers: {
-                Authorization: AUTH_HEADER,
-            },
+// Move on to the next phase once the current one is over
+async function advancePomodoro() {
+    if (!isPomodoroRunning(pomodoro)) return;
+    const now = Date.now();
+    if (now < pomodoro.endsAt) return;
+
+    if (now - pomodoro.endsAt > POMODORO_STALE_AFTER) {
+        await stopPomodoro();
+        return;
+    }
+
+    if (pomodoro.phase === POMODORO_PHASES.WORK) {
+        const block = await finishWorkBlock(pomodoro.endsAt, true);
+        await startPomodoroPhase(POMODORO_PHASES.BREAK, now);
+        await notifyPomodoro(
+            "Focus block done - take a break",
+            `${formatDuration(
+                block.productiveTime / 1000
+            )} productive, ${formatDuration(
+                block.distractingTime / 1000
+            )} distracting. Back in ${pomodoro.breakMinutes} min.`
+        );
+    } else {
+        await startPomodoroPhase(POMODORO_PHASES.WORK, now);
+        await notifyPomodoro(
+            "Break's over",
+            `Next ${pomodoro.workMinutes} min focus block has started.`
+        );
+    }
+}
+
+async function restorePomodoro() {
+    pomodoro = await loadPomodoro();
+    if (!isPomodoroRunning(pomodoro)) return;
+    if (Date.now() >= pomodoro.endsAt) {
+        await advancePomodoro();
+    } else {
+        await chrome.alarms.create(POMODORO_PHASE_ALARM, {
+            when: pomodoro.endsAt,
         });
+        await updateBadge();
+    }
+}
 
-        if (response.ok) {
-            const data = await response.json();
-            Logger.api(endpoint, "GET", null, data);
-            Logger.info(`Fetched ${data.total} categories`);
-            return data.categories;
-        } else {
-            Logger.warn(
-                `Failed to fetch categories (${response.status}): ${response.statusText}`
+// === TOOLBAR BADGE ===
+// The badge shows today's total, the time on the current site or the time
+// left on the current site's tightest limit, as chosen in Options, colored
+// like the current site's category. A running pomodoro takes the badge
+// over. It is refreshed on tab changes and by an alarm, so it keeps up
+// after the worker has been suspended.
+
+const BADGE_ALARM = "badgeRefresh";
+const BADGE_IDLE_COLOR = "#9E9E9E";
+
+// Milliseconds left today on the tightest limit covering `url`, or null
+function getLimitTimeLeft(url, usage) {
+    const { hostname } = new URL(url);
+    const category = categorizeSite(url);
+    const left = evaluateLimits(limits, usage)
+        .filter(({ limit }) =>
+            findReachedLimit([limit], [limit.id], hostname, category)
+        )
+        .map(({ limit, used }) => Math.max(0, limit.minutes * 60000 - used));
+    return left.length > 0 ? Math.min(...left) : null;
+}
+
+async function getBadgeText(url) {
+    if (settings.badgeMode === BADGE_MODES.OFF) return "";
+    const usage = await getTodayUsage();
+
+    if (settings.badgeMode === BADGE_MODES.TODAY) {
+        const total = Object.values(usage.domains).reduce((a, b) => a + b, 0);
+        return formatBadgeTime(total / 1000);
+    }
+    if (!url) return "";
+    if (settings.badgeMode === BADGE_MODES.SITE) {
+        return formatBadgeTime(
+            (usage.domains[new URL(url).hostname] || 0) / 1000
+        );
+    }
+    const left = getLimitTimeLeft(url, usage);
+    // Round time left up, so "0m" only shows once the limit is reached
+    return left === null ? "" : formatBadgeTime(Math.ceil(left / 60000) * 60);
+}
+
+async function updateBadge() {
+    try {
+        if (isPomodoroRunning(pomodoro)) {
+            const minutesLeft = Math.max(
+                1,
+                Math.ceil((pomodoro.endsAt - Date.now()) / 60000)
             );
-            return null;
+            await chrome.action.setBadgeText({ text: `${minutesLeft}m` });
+            await chrome.action.setBadgeBackgroundColor({
+                color: POMODORO_BADGE_COLORS[pomodoro.phase],
+            });
+            return;
         }
+
+        const url =
+            currentActiveTab &&
+            /^https?:/.test(currentActiveTab) &&
+            !isExcludedSite(currentActiveTab)
+                ? currentActiveTab
+                : null;
+        await chrome.action.setBadgeText({ text: await getBadgeText(url) });
+        await chrome.action.setBadgeBackgroundColor({
+            color:
+                url && isTimingAllowed()
+                    ? getCategoryColor(categorizeSite(url), taxonomy)
+                    : BADGE_IDLE_COLOR,
+        });
     } catch (error) {
-        Logger.warn("Failed to fetch categories:", error);
-        return null;
+        Logger.warn("Could not update badge:", error);
     }
 }
 
-// Get user ID (prefer Supabase UUID from JWT; fallback to temporary ID)
-async function getUserId() {
-    try {
-        // Helper to decode JWT payload and extract `sub`
-        const getSubFromJwt = (token) => {
-            try {
-                if (!token || typeof token !== "string") return null;
-                const parts = token.split(".");
-                if (parts.length < 2) return null;
-                const payload = parts[1]
-                    .replace(/-/g, "+")
-                    .replace(/_/g, "/");
-                // Base64 padding
-                const padded = payload + "=".repeat((4 - (payload.length % 4)) % 4);
-                const json = atob(padded);
-                const data = JSON.parse(json);
-                return data?.sub || null;
-            } catch {
-                return null;
+// === DASHBOARD HANDSHAKE ===
+// The web dashboard (listed under externally_connectable in the manifest)
+// pushes its Supabase session after login and again whenever supabase-js
+// refreshes it, and revokes it on sign-out, so both sides act as the same
+// user. Supabase rotates refresh tokens, so the refresh token is not kept:
+// refreshing here would invalidate the dashboard's own session.
+
+async function handleExternalMessage(message, sender) {
+    await stateReady;
+    switch (message?.type) {
+        case "PING":
+            return { installed: true, auth: await getAuthStatus() };
+
+        case "SET_SESSION": {
+            const previous = await loadAuthSession();
+            const auth = await saveAuthSession(
+                { ...message.session, refresh_token: null },
+                "dashboard"
+            );
+            if (previous?.userId !== auth.userId) {
+                Logger.info(
+                    `🔑 Signed in as ${auth.email} from ${sender.origin}`
+                );
+                testAPIConnectivity().then((reachable) => {
+                    if (reachable) drainOutbox({ apiReachable: true });
+                });
             }
-        };
-
-        // 1) Try in-memory API_TOKEN first
-        let uuid = getSubFromJwt(API_TOKEN);
-        if (uuid) return uuid;
-
-        // 2) Try common storage keys where a token might be saved
-        const tokens = await chrome.storage.local.get([
-            "authToken",
-            "access_token",
-            "supabaseToken",
-            "supabase_session",
-        ]);
-
-        const candidateToken =
-            tokens.authToken ||
-            tokens.access_token ||
-            tokens.supabaseToken ||
-            (tokens.supabase_session && tokens.supabase_session.access_token) ||
-            null;
+            return { success: true, userId: auth.userId };
+        }
 
-        uuid = getSubFromJwt(candidateToken);
-        if (uuid) return uuid;
+        case "REVOKE_SESSION":
+            await signOut();
+            return { success: true };
 
-        // 3) Fallback to previously stored local ID (legacy behavior)
-        const stored = await chrome.storage.local.get(["userId"]);
-        if (!stored.userId) {
-            const userId = "bb1312d2-fc6a-453d-be98-2ac4693d8b8e";
-            await chrome.storage.local.set({ userId });
-            return userId;
-        }
-        return stored.userId;
-    } catch {
-        return "user_default";
+        default:
+            return { success: false, error: "Unknown message type" };
     }
 }
 
+chrome.runtime.onMessageExternal.addListener(
+    (message, sender, sendResponse) => {
+        handleExternalMessage(message, sender)
+            .then(sendResponse)
+            .catch((error) => {
+                Logger.error("Error handling dashboard message:", error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true; // Keep channel open for async response
+    }
+);
+
 // Get today's stats for popup
 async function getTodayStats() {
     try {
         const today = new Date();
         today.setHours(0, 0, 0, 0);
+        const since = today.getTime();
 
-        // Get stored data
-        const stored = await chrome.storage.local.get([
-            "sessions",
-            "todayTotal",
+        // Only today's records are read from the event store
+        const [visits, storedSessions] = await Promise.all([
+            getVisitsSince(since),
+            getSessionsSince(since),
         ]);
-        const sessions = stored.sessions || [];
 
-        // Filter today's sessions
-        const todaySessions = sessions.filter(
-            (session) => session.startTime >= today.getTime()
+        // Use the live current session rather than its stored snapshot
+        const todaySessions = storedSessions.filter(
+            (session) => session.startTime !== currentSession.startTime
         );
-
-        // Add current session if active
-        if (currentSession.startTime >= today.getTime()) {
+        if (currentSession.startTime >= since) {
             todaySessions.push(currentSession);
         }
 
         // Calculate aggregated stats
         let totalTime = 0;
+        let idleTime = 0;
         const sitesMap = {};
 
         todaySessions.forEach((session) => {
-            totalTime += session.totalTime || 0;
-
-            Object.entries(session.sites || {}).forEach(
-                ([domain, siteData]) => {
-                    if (!sitesMap[domain]) {
-                        sitesMap[domain] = {
-                            domain,
-                            totalTime: 0,
-                            visits: 0,
-                            category: siteData.category || "other",
-                        };
-                    }
-                    sitesMap[domain].totalTime += siteData.timeSpent || 0;
-                    sitesMap[domain].visits += siteData.visits || 0;
-                }
-            );
+            idleTime += sumIdleTime(session.idleGaps, since);
+        });
+
+        visits.forEach((visit) => {
+            totalTime += visit.duration || 0;
+
+            if (!sitesMap[visit.domain]) {
+                sitesMap[visit.domain] = {
+                    domain: visit.domain,
+                    totalTime: 0,
+                    visits: 0,
+                    // Categorize again so user corrections apply to
+                    // visits recorded before them
+                    category: visit.url
+                        ? categorizeSite(visit.url)
+                        : visit.category || CATEGORIES.OTHER,
+                };
+            }
+            sitesMap[visit.domain].totalTime += visit.duration || 0;
+            sitesMap[visit.domain].visits += 1;
         });
 
         // Add current active time if we're timing a tab right now
         if (currentActiveTab && tabStartTime && !isTrackingPaused) {
-            const currentActiveTime = Date.now() - tabStartTime;
+            // Only the part of the running interval that falls on today
+            const currentActiveTime =
+                Date.now() - Math.max(tabStartTime, since);
             totalTime += currentActiveTime;
 
             // Add to the current domain's time
@@ -1227,7 +3613,7 @@ async function getTodayStats() {
                         domain: currentDomain,
                         totalTime: 0,
                         visits: 0,
-                        category: categorizeUrl(currentActiveTab),
+                        category: categorizeSite(currentActiveTab),
                     };
                 }
                 sitesMap[currentDomain].totalTime += currentActiveTime;
@@ -1253,6 +3639,8 @@ async function getTodayStats() {
 
         return {
             totalTime: Math.max(0, Math.round(totalTime / 1000)), // Convert to seconds, ensure positive
+            idleTime: Math.round(idleTime / 1000),
+            idleState,
             topSites: topSites || [],
             isPaused: Boolean(isTrackingPaused),
             sessionCount: Math.max(0, todaySessions.length),
@@ -1271,6 +3659,16 @@ async function getTodayStats() {
 // Track tab navigation
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
     console.log(`🔄 [BACKGROUND] Tab activated: ${activeInfo.tabId}`);
+    await stateReady;
+
+    // A tab switching in a window the user is not looking at does not move
+    // the cursor; focusing that window later picks its active tab up.
+    if (currentWindowId !== null && activeInfo.windowId !== currentWindowId) {
+        console.log(
+            `🪟 [BACKGROUND] Ignoring activation in unfocused window ${activeInfo.windowId}`
+        );
+        return;
+    }
 
     try {
         const tab = await chrome.tabs.get(activeInfo.tabId);
@@ -1296,9 +3694,11 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
             );
         }
 
-        // Start tracking the new tab (if not paused)
+        // Start tracking the new tab (if not paused or idle)
         currentActiveTab = tab.url;
-        if (!isTrackingPaused) {
+        currentTabId = tab.id;
+        currentWindowId = tab.windowId;
+        if (isTimingAllowed()) {
             tabStartTime = Date.now();
             console.log(
                 `▶️ [BACKGROUND] Started timing for new active tab: ${tab.url}`
@@ -1309,6 +3709,8 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
                 `⏸️ [BACKGROUND] Tracking paused - not timing tab: ${tab.url}`
             );
         }
+        await persistTrackingCursor();
+        await updateBadge();
 
         await trackPageVisit(tab.url, tab.title);
     } catch (error) {
@@ -1316,17 +3718,26 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
     }
 });
 
-// Track tab updates
 // Track tab updates
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     if (changeInfo.status === "complete" && tab.url) {
+        await stateReady;
+
+        // Loads in background tabs or other windows don't move the cursor
+        const isTrackedTab =
+            tab.active &&
+            (currentWindowId === null || tab.windowId === currentWindowId);
+        if (!isTrackedTab) {
+            await requestContentAnalysis(tabId);
+            return;
+        }
+
         try {
             // Save time for previous URL if it was different and we were timing it
             if (
                 currentActiveTab &&
                 currentActiveTab !== tab.url &&
-                tabStartTime &&
-                !isTrackingPaused
+                tabStartTime
             ) {
                 const timeSpent = Date.now() - tabStartTime;
                 Logger.info(
@@ -1337,11 +3748,18 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
                 await saveTabTime(currentActiveTab, timeSpent);
             }
 
+            // A reload of the same URL keeps the interval that is running
+            const isSameUrl = currentActiveTab === tab.url && tabStartTime;
+
             // Update current tab
             currentActiveTab = tab.url;
+            currentTabId = tabId;
+            currentWindowId = tab.windowId;
 
-            // Start timing if not paused
-            if (!isTrackingPaused) {
+            // Start timing if not paused or idle
+            if (isSameUrl) {
+                Logger.info(`Tab reloaded, still timing: ${tab.url}`);
+            } else if (isTimingAllowed()) {
                 tabStartTime = Date.now();
                 Logger.info(`Started timing for updated tab: ${tab.url}`);
             } else {
@@ -1350,6 +3768,8 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
                     `Tracking paused - not timing updated tab: ${tab.url}`
                 );
             }
+            await persistTrackingCursor();
+            await updateBadge();
 
             await trackPageVisit(tab.url, tab.title);
 
@@ -1361,9 +3781,97 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     }
 });
 
-// Get today's stats for popup
+// Stop the interval when the tracked tab is closed
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    await stateReady;
+    forgetTabEngagement(tabId).catch((error) =>
+        Logger.error("Error clearing tab engagement:", error)
+    );
+    if (tabId !== currentTabId) return;
+
+    try {
+        if (currentActiveTab && tabStartTime) {
+            await saveTabTime(currentActiveTab, Date.now() - tabStartTime);
+        }
+        Logger.info(`Tracked tab closed: ${currentActiveTab}`);
+        currentActiveTab = null;
+        currentTabId = null;
+        tabStartTime = null;
+        await persistTrackingCursor();
+    } catch (error) {
+        Logger.error("Error handling closed tab:", error);
+    }
+});
+
+// === WINDOW FOCUS ===
+// When Chrome loses focus to another application, onFocusChanged reports
+// WINDOW_ID_NONE and the running interval is closed. When a browser window
+// gains focus, that window's active tab becomes the tracked tab.
+
+async function handleWindowFocusChange(windowId) {
+    const now = Date.now();
+
+    if (windowId === chrome.windows.WINDOW_ID_NONE) {
+        if (!browserHasFocus) return;
+        browserHasFocus = false;
+
+        if (currentActiveTab && tabStartTime) {
+            Logger.info(
+                `🪟 Browser lost focus: saving ${Math.round(
+                    (now - tabStartTime) / 1000
+                )}s for ${currentActiveTab}`
+            );
+            await saveTabTime(currentActiveTab, now - tabStartTime);
+        }
+        tabStartTime = null;
+        await persistTrackingCursor();
+        return;
+    }
+
+    browserHasFocus = true;
+
+    const [tab] = await chrome.tabs.query({ active: true, windowId });
+    if (!tab || !tab.url) {
+        // Devtools and similar windows have no trackable tab
+        Logger.info(`🪟 Focused window ${windowId} has no trackable tab`);
+        await persistTrackingCursor();
+        return;
+    }
+
+    const isSameTab = tab.id === currentTabId && tab.url === currentActiveTab;
+
+    // Close the interval on the previous window's tab before switching
+    if (!isSameTab && currentActiveTab && tabStartTime) {
+        await saveTabTime(currentActiveTab, now - tabStartTime);
+        tabStartTime = null;
+    }
+
+    currentActiveTab = tab.url;
+    currentTabId = tab.id;
+    currentWindowId = windowId;
+
+    if (isTimingAllowed() && !tabStartTime) {
+        tabStartTime = now;
+        Logger.info(`🪟 Window ${windowId} focused, timing ${tab.url}`);
+    }
+    await persistTrackingCursor();
+
+    if (!isSameTab) {
+        await trackPageVisit(tab.url, tab.title);
+    }
+}
+
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+    await stateReady;
+    handleWindowFocusChange(windowId).catch((error) =>
+        Logger.error("Error handling window focus change:", error)
+    );
+});
+
 // Request content analysis from content script
 async function requestContentAnalysis(tabId) {
+    if (!settings.contentScanning) return;
+
     try {
         // Check if tab is valid and can be scripted
         const tab = await chrome.tabs.get(tabId);
@@ -1381,6 +3889,10 @@ async function requestContentAnalysis(tabId) {
             );
             return;
         }
+        if (!canReadContent(tab.url)) {
+            Logger.info(`Content policy keeps ${tab.url} unread`);
+            return;
+        }
 
         // Inject content script and request analysis
         await chrome.scripting.executeScript({
@@ -1425,35 +3937,30 @@ async function requestContentAnalysis(tabId) {
 }
 
 // Track page visits
-async function trackPageVisit(url, title = "") {
+async function trackPageVisit(url, rawTitle = "") {
     if (!url) return;
 
     console.log(`🌐 [BACKGROUND] Tracking page visit: ${url}`);
-    console.log(`📝 [BACKGROUND] Page title: ${title || "No title"}`);
 
     try {
-        const settings = await chrome.storage.sync.get([
-            "trackingEnabled",
-            "excludedSites",
-        ]);
-
         if (!settings.trackingEnabled) {
             console.log(`⏹️ [BACKGROUND] Tracking disabled - skipping: ${url}`);
             return;
         }
 
-        // Check if site is excluded
-        const isExcluded = settings.excludedSites?.some((excluded) =>
-            url.includes(excluded)
-        );
-        if (isExcluded) {
+        // Check if site is excluded or its content policy is "ignore"
+        if (isExcludedSite(url)) {
             console.log(`🚫 [BACKGROUND] Site excluded - skipping: ${url}`);
             return;
         }
 
+        // Scrub only pages that are tracked, so nothing is logged for others
+        const { title } = await scrubPageTexts(url, { title: rawTitle });
+        console.log(`📝 [BACKGROUND] Page title: ${title || "No title"}`);
+
         const domain = new URL(url).hostname;
         const timestamp = Date.now();
-        const category = categorizeUrl(url);
+        const category = categorizeSite(url);
 
         console.log(`🏷️ [BACKGROUND] Domain: ${domain}, Category: ${category}`);
 
@@ -1499,17 +4006,13 @@ async function trackPageVisit(url, title = "") {
 }
 
 // Handle messages from content script
-chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
+async function handleMessage(message, sender) {
     console.log(`📨 [BACKGROUND] Message received:`, message);
+    await stateReady;
     // Validate message structure first
     if (!message || typeof message !== "object" || !message.type) {
         Logger.warn("Invalid message received:", message);
-        try {
-            sendResponse({ error: "Invalid message format" });
-        } catch (e) {
-            Logger.warn("Failed to send error response:", e.message);
-        }
-        return true;
+        return { error: "Invalid message format" };
     }
 
     try {
@@ -1520,7 +4023,7 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
 
         switch (message.type) {
             case "CONTENT_ANALYSIS":
-                if (!isTrackingPaused) {
+                if (!isTrackingPaused && settings.contentScanning) {
                     await processContentAnalysis(message.data, sender.tab);
                 }
                 break;
@@ -1532,48 +4035,83 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
                 break;
 
             case "GET_SESSION_DATA":
-                sendResponse(await getSessionData());
-                break;
+                return await getSessionData();
 
             case "GET_ANALYTICS":
-                sendResponse(await getAnalytics(message.timeframe));
-                break;
+                return await getAnalytics(message.timeframe);
 
             case "UPDATE_SETTINGS":
-                await updateSettings(message.settings);
-                break;
+                return await updateSettings(message.settings);
 
             case "EXPORT_DATA":
-                sendResponse(await exportData());
-                break;
+                return await exportData();
+
+            case "CLEAR_DATA":
+                await clearEventStore();
+                pageFeatures = {};
+                await chrome.storage.local.set({ pageFeatures });
+                startNewSession();
+                await updateStoredData();
+                return { success: true };
+
+            case "getSyncStatus":
+                return await getSyncStatus();
+
+            case "getAuthStatus":
+                return await getAuthStatus();
+
+            case "SIGN_IN":
+                try {
+                    await signIn(message.email, message.password);
+                    return {
+                        success: true,
+                        status: await getAuthStatus(),
+                    };
+                } catch (error) {
+                    return { success: false, error: error.message };
+                }
+
+            case "SIGN_OUT":
+                await signOut();
+                return { success: true, status: await getAuthStatus() };
 
             case "getStatus": {
-                const status = { paused: isTrackingPaused };
+                const status = getTrackingStatus();
                 Logger.info(
                     `Status requested: ${
                         isTrackingPaused ? "PAUSED" : "ACTIVE"
                     }`
                 );
-                sendResponse(status);
-                break;
+                return status;
             }
 
             case "pauseTracking": {
-                await pauseTracking();
-                const pauseResponse = { success: true, paused: true };
+                if (message.duration) {
+                    const until = timedPauseEnd(message.duration);
+                    if (!until) throw new Error("Unknown pause length");
+                    await pauseTrackingUntil(until);
+                } else {
+                    await setManualTracking(true);
+                }
+                const pauseResponse = {
+                    success: true,
+                    paused: true,
+                    pausedUntil,
+                };
                 Logger.info("✅ Pause request completed");
-                sendResponse(pauseResponse);
-                break;
+                return pauseResponse;
             }
 
             case "resumeTracking": {
-                await resumeTracking();
+                await setManualTracking(false);
                 const resumeResponse = { success: true, paused: false };
                 Logger.info("✅ Resume request completed");
-                sendResponse(resumeResponse);
-                break;
+                return resumeResponse;
             }
 
+            case "FOLLOW_SCHEDULE":
+                return await followTrackingSchedule();
+
             case "getTodayStats": {
                 try {
                     const stats = await getTodayStats();
@@ -1595,12 +4133,17 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
                             typeof stats?.sessionCount === "number"
                                 ? stats.sessionCount
                                 : 0,
+                        idleTime:
+                            typeof stats?.idleTime === "number"
+                                ? stats.idleTime
+                                : 0,
+                        idleState: stats?.idleState || "active",
                     };
 
                     Logger.info(
                         `📊 Stats requested - Total: ${validStats.totalTime}s, Sites: ${validStats.topSites.length}`
                     );
-                    sendResponse(validStats);
+                    return validStats;
                 } catch (statsError) {
                     Logger.error("Error getting stats for popup:", statsError);
                     const fallbackStats = {
@@ -1609,58 +4152,164 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
                         isPaused: Boolean(isTrackingPaused),
                         sessionCount: 0,
                     };
-                    sendResponse(fallbackStats);
+                    return fallbackStats;
                 }
-                break;
             }
 
+            case "DELETE_CATEGORY":
+                return await deleteCategory(
+                    message.category,
+                    message.replacement
+                );
+
+            case "PREVIEW_CATEGORY_RULES":
+                return {
+                    changes: await previewCategoryRules(message.rules),
+                };
+
+            case "APPLY_CATEGORY_RULES":
+                return await applyCategoryRules(
+                    message.rules,
+                    message.taxonomy
+                );
+
+            case "START_FOCUS":
+                return await startFocus(message);
+
+            case "STOP_FOCUS":
+                return await stopFocus();
+
+            case "GET_FOCUS_STATE":
+                return await getFocusState();
+
+            case "FOCUS_BYPASS":
+                return await bypassFocus(message.url);
+
+            case "START_POMODORO":
+                return await startPomodoro(message);
+
+            case "STOP_POMODORO":
+                return await stopPomodoro();
+
+            case "GET_POMODORO_STATE":
+                return { pomodoro };
+
+            case "GET_LIMIT_STATUS":
+                return await getLimitStatus();
+
+            case "GET_CONTENT_POLICY": {
+                const url = sender?.tab?.url || message.url;
+                return {
+                    policy: isExcludedSite(url)
+                        ? CONTENT_POLICIES.IGNORE
+                        : getContentPolicy(url),
+                };
+            }
+
+            case "GET_REDACTION_LOG":
+                return { log: await getRedactionLog() };
+
+            case "PREVIEW_UPLOAD":
+                return await previewUpload({
+                    privacyMode: message.privacyMode ?? settings.privacyMode,
+                    hashDomains: message.hashDomains ?? settings.hashDomains,
+                });
+
+            case "SYNC_DASHBOARD_LIMITS":
+                return await syncDashboardLimits();
+
+            case "getBlockReason": {
+                const blocked = getBlockReason(message.url);
+                return {
+                    reason: blocked?.reason || null,
+                    limit: blocked?.limit || null,
+                };
+            }
+
+            case "getSiteCategory": {
+                const { category, reason, guess } = explainSite(message.url);
+                return { category, reason, guess };
+            }
+
+            case "GET_CATEGORY_SUGGESTIONS":
+                return { suggestions: getCategorySuggestions() };
+
+            case "ACCEPT_CATEGORY_SUGGESTIONS":
+                return await acceptCategorySuggestions(message.items);
+
+            case "DISMISS_CATEGORY_SUGGESTIONS":
+                return await dismissCategorySuggestions(message.domains);
+
+            case "getCategoryGuesses":
+                return { guesses: getPendingGuesses() };
+
+            case "CONFIRM_CATEGORY_GUESS":
+                return await confirmCategoryGuess(message.domain);
+
+            case "REJECT_CATEGORY_GUESS":
+                return await rejectCategoryGuess(message.domain);
+
+            case "engagement":
+                await recordEngagement(sender, message.data);
+                return { ok: true };
+
+            case "page_html":
+                await recordPageMetadata(sender, message);
+                return { ok: true };
+
             default:
                 Logger.warn("Unknown message type:", message.type);
         }
     } catch (error) {
         const errorMsg = error?.message || String(error);
         Logger.error("Error handling message:", errorMsg);
-        try {
-            sendResponse({
-                error: errorMsg,
-                success: false,
-                // Provide safe defaults based on message type
-                ...(message?.type === "getTodayStats" && {
-                    totalTime: 0,
-                    topSites: [],
-                    isPaused: Boolean(isTrackingPaused),
-                    sessionCount: 0,
-                }),
-                ...(message?.type === "getStatus" && {
-                    paused: Boolean(isTrackingPaused),
-                }),
-            });
-        } catch (responseError) {
-            Logger.error(
-                "Failed to send error response:",
-                responseError?.message || responseError
-            );
-        }
+        return {
+            error: errorMsg,
+            success: false,
+            // Provide safe defaults based on message type
+            ...(message?.type === "getTodayStats" && {
+                totalTime: 0,
+                topSites: [],
+                isPaused: Boolean(isTrackingPaused),
+                sessionCount: 0,
+            }),
+            ...(message?.type === "getStatus" && {
+                paused: Boolean(isTrackingPaused),
+            }),
+        };
     }
+}
 
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    handleMessage(message, sender)
+        .then(sendResponse)
+        .catch((error) => {
+            Logger.error("Error handling message:", error);
+            sendResponse({ success: false, error: error.message });
+        });
     return true; // Keep channel open for async response
 });
 
 // Process content analysis
 async function processContentAnalysis(data, tab) {
-    if (!data.content || !tab?.url) return;
+    if (!data.content || !tab?.url || !canReadContent(tab.url)) return;
 
     try {
         const domain = new URL(tab.url).hostname;
+        const { content } = await scrubPageTexts(tab.url, {
+            content: data.content,
+        });
 
         // Analyze content
-        const sentiment = analyzeSentiment(data.content);
-        const quality = analyzeContentQuality(data.content);
-        const topics = extractTopics(data.content);
-        const readability = calculateReadabilityScore(data.content);
+        const sentiment = analyzeSentiment(content);
+        const quality = analyzeContentQuality(content);
+        const topics = extractTopics(content);
+        const readability = calculateReadabilityScore(content);
 
         // Update emotional balance
-        currentSession.emotionalBalance[sentiment] += 1;
+        if (settings.emotionalAnalysis) {
+            currentSession.emotionalBalance[sentiment] += 1;
+        }
 
         // Update site data with analysis
         if (currentSession.sites[domain]) {
@@ -1715,46 +4364,16 @@ async function trackUserInteraction(data, tab) {
     }
 }
 
-// Calculate productivity score
+// Calculate productivity score from the categories' weights
 async function calculateProductivityScore() {
-    const productiveCategories = [
-        CATEGORIES.PRODUCTIVITY,
-        CATEGORIES.EDUCATION,
-        CATEGORIES.WORK,
-    ];
-    const distractingCategories = [CATEGORIES.ENTERTAINMENT, CATEGORIES.SOCIAL];
-
-    let productiveTime = 0;
-    let distractingTime = 0;
-    let totalTime = 0;
-
-    Object.values(currentSession.sites).forEach((site) => {
-        const timeSpent = site.timeSpent || 0;
-        totalTime += timeSpent;
-
-        if (productiveCategories.includes(site.category)) {
-            productiveTime += timeSpent;
-        } else if (distractingCategories.includes(site.category)) {
-            distractingTime += timeSpent;
-        }
-    });
-
-    if (totalTime === 0) {
-        currentSession.productivityScore = 50; // Neutral score
-    } else {
-        // Score from 0-100 based on productive vs distracting time
-        const productiveRatio = productiveTime / totalTime;
-        const distractingRatio = distractingTime / totalTime;
-        currentSession.productivityScore = Math.round(
-            productiveRatio * 100 - distractingRatio * 30
-        );
-    }
-
-    // Ensure score is between 0-100
-    currentSession.productivityScore = Math.max(
-        0,
-        Math.min(100, currentSession.productivityScore)
+    const { score } = summarizeProductivity(
+        Object.values(currentSession.sites).map((site) => ({
+            category: site.category,
+            time: site.timeSpent || 0,
+        })),
+        taxonomy
     );
+    currentSession.productivityScore = score;
 }
 
 // Generate personalized insights
@@ -1792,7 +4411,7 @@ async function generateInsights() {
             type: "productivity_warning",
             title: "Low Productivity Score",
             description:
-                "Your focus seems scattered today. Try using website blockers or taking focused work sessions.",
+                "Your focus seems scattered today. Try starting focus mode from the popup to block distracting sites for a while.",
             priority: "medium",
         });
     } else if (currentSession.productivityScore > 80) {
@@ -1831,11 +4450,6 @@ async function getSessionData() {
 // Get analytics for specified timeframe
 async function getAnalytics(timeframe = "7d") {
     try {
-        const storedSessions = (await chrome.storage.local.get([
-            "sessions",
-        ])) || { sessions: [] };
-        const sessions = storedSessions.sessions || [];
-
         // Calculate timeframe boundaries
         const now = Date.now();
         let startTime;
@@ -1854,8 +4468,9 @@ async function getAnalytics(timeframe = "7d") {
                 startTime = now - 7 * 24 * 60 * 60 * 1000;
         }
 
-        const relevantSessions = sessions.filter(
-            (session) => session.startTime >= startTime
+        // Use the live current session rather than its stored snapshot
+        const relevantSessions = (await getSessionsSince(startTime)).filter(
+            (session) => session.startTime !== currentSession.startTime
         );
 
         // Add current session if active
@@ -1912,6 +4527,11 @@ async function getAnalytics(timeframe = "7d") {
 
         analytics.sitesVisited = analytics.sitesVisited.size;
 
+        // Names, colors and icons for the categories in the breakdown
+        analytics.categoryDetails = Object.keys(analytics.categories).map(
+            (category) => findCategory(category, taxonomy)
+        );
+
         return analytics;
     } catch (error) {
         console.error("Error getting analytics:", error);
@@ -1922,63 +4542,40 @@ async function getAnalytics(timeframe = "7d") {
 // Update stored data
 async function updateStoredData() {
     try {
-        // Update current session end time
+        // Update current session end time (totalTime is accumulated from
+        // saved intervals, so it excludes idle and unfocused stretches)
         currentSession.endTime = Date.now();
-        currentSession.totalTime =
-            currentSession.endTime - currentSession.startTime;
 
-        // Store session data
+        // Store session data (the copy in chrome.storage lets the worker
+        // restore it after being suspended)
         await chrome.storage.local.set({
             currentSession: currentSession,
             lastUpdated: Date.now(),
         });
 
-        // Also store in sessions history (limit to last 100 sessions)
-        const storedSessions = await chrome.storage.local.get(["sessions"]);
-        let sessions = storedSessions.sessions || [];
-
-        // Remove current session if it exists in history
-        sessions = sessions.filter(
-            (s) => s.startTime !== currentSession.startTime
-        );
-
-        // Add current session
-        sessions.push({ ...currentSession });
-
-        // Keep only last 100 sessions
-        if (sessions.length > 100) {
-            sessions = sessions.slice(-100);
-        }
-
-        await chrome.storage.local.set({ sessions });
+        // Also upsert its summary record in the event store
+        await putSessionRecord({ ...currentSession });
     } catch (error) {
         console.error("Error updating stored data:", error);
     }
 }
 
-// Update settings
-async function updateSettings(newSettings) {
-    try {
-        await chrome.storage.sync.set(newSettings);
-    } catch (error) {
-        console.error("Error updating settings:", error);
-    }
-}
-
 // Export data
 async function exportData() {
     try {
-        const [syncData, localData] = await Promise.all([
-            chrome.storage.sync.get(null),
-            chrome.storage.local.get(null),
+        const [currentSettings, sessions, visits] = await Promise.all([
+            loadSettings(),
+            getAllRecords("sessions"),
+            getAllRecords("visits"),
         ]);
 
         return {
-            settings: syncData,
-            sessions: localData.sessions || [],
-            currentSession: localData.currentSession,
+            settings: currentSettings,
+            sessions,
+            visits,
+            currentSession,
             exportedAt: Date.now(),
-            version: "1.0.0",
+            version: "1.1.0",
         };
     } catch (error) {
         console.error("Error exporting data:", error);
@@ -1986,32 +4583,121 @@ async function exportData() {
     }
 }
 
+// === SCHEDULED WORK ===
+// Periodic work runs on chrome.alarms rather than setInterval, which dies
+// with the service worker.
+
+const CLEANUP_ALARM = "periodicCleanup";
+
+// Create an alarm only when missing; re-creating it on every wake would
+// keep resetting its period so it might never fire.
+async function ensureAlarm(name, alarmInfo) {
+    const existing = await chrome.alarms.get(name);
+    if (!existing) {
+        chrome.alarms.create(name, alarmInfo);
+    }
+}
+
 // Periodic cleanup and session management
-setInterval(async () => {
+async function runPeriodicCleanup() {
     try {
-        // Clean up old sessions (older than 90 days)
-        const cutoff = Date.now() - 90 * 24 * 60 * 60 * 1000;
-        const storedSessions = await chrome.storage.local.get(["sessions"]);
-        let sessions = storedSessions.sessions || [];
-
-        const cleanedSessions = sessions.filter(
-            (session) => session.startTime > cutoff
+        // Clean up old history (older than 90 days)
+        const removed = await deleteRecordsBefore(
+            Date.now() - HISTORY_RETENTION
         );
-
-        if (cleanedSessions.length !== sessions.length) {
-            await chrome.storage.local.set({ sessions: cleanedSessions });
-            console.log("Cleaned up old sessions");
+        if (removed > 0) {
+            console.log(`Cleaned up ${removed} old visits`);
         }
 
+        // Start a new session once the day has turned over
+        await checkMidnightRollover();
+
         // Update current session
         await updateStoredData();
     } catch (error) {
         console.error("Error in periodic cleanup:", error);
     }
-}, 60000); // Run every minute
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    await stateReady;
+
+    switch (alarm.name) {
+        case CLEANUP_ALARM:
+            await runPeriodicCleanup();
+            break;
+
+        case OUTBOX_ALARM:
+            await drainOutbox();
+            break;
+
+        case FOCUS_END_ALARM:
+            await stopFocus();
+            break;
+
+        case FOCUS_BYPASS_ALARM:
+            await expireFocusBypasses();
+            break;
+
+        case LIMIT_CHECK_ALARM:
+        case LIMIT_RESET_ALARM:
+            await checkLimits();
+            break;
+
+        case POMODORO_PHASE_ALARM:
+            await advancePomodoro();
+            break;
+
+        case SCHEDULE_ALARM:
+            await applyTrackingSchedule();
+            break;
+
+        case TIMED_PAUSE_ALARM:
+            await endTimedPause();
+            break;
+
+        case BADGE_ALARM:
+            await updateBadge();
+            break;
+
+        case LIMIT_SYNC_ALARM:
+            await syncDashboardLimits().catch((error) =>
+                Logger.warn("Dashboard limit sync failed:", error.message)
+            );
+            break;
+    }
+});
+
+ensureAlarm(CLEANUP_ALARM, { periodInMinutes: 1 });
+ensureAlarm(OUTBOX_ALARM, { periodInMinutes: 1 });
+ensureAlarm(LIMIT_CHECK_ALARM, { periodInMinutes: 1 });
+ensureAlarm(BADGE_ALARM, { periodInMinutes: 1 });
+
+// Pick up which window has focus and the idle state on every wake
+stateReady.then(async () => {
+    const win = await chrome.windows.getLastFocused();
+    if (win && !win.focused) {
+        await handleWindowFocusChange(chrome.windows.WINDOW_ID_NONE);
+    } else if (win && currentWindowId === null) {
+        currentWindowId = win.id;
+    }
+
+    await checkMidnightRollover();
+    await restoreTimedPause();
+    await applyTrackingSchedule();
+    await restoreFocusMode();
+    await restorePomodoro();
+    await checkLimits();
+    await scheduleDashboardLimitSync();
+    await updateBadge();
+    await applyIdleDetectionInterval();
+    const state = await chrome.idle.queryState(idleDetectionInterval);
+    await handleIdleStateChange(state);
+    await persistTrackingCursor();
+});
 
 console.log("Digital Footprint Tracker background script loaded");
 
 // Initialize when script loads
 Logger.info("🚀 Digital Footprint Tracker background script initialized");
-Logger.info("📡 API Base URL:", API_BASE);
+stateReady.then(() => Logger.info("📡 API Base URL:", API_BASE));
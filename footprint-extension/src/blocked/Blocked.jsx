@@ -0,0 +1,218 @@
+/* global chrome */
+import React, { useEffect, useState } from "react";
+import "./blocked.css";
+import { formatCountdown } from "../utils/analytics.js";
+import {
+    DEFAULT_TAXONOMY,
+    getCategoryDisplayName,
+    getCategoryIcon,
+    loadTaxonomy,
+} from "../utils/categories.js";
+import { BYPASS_MINUTES, onFocusChanged } from "../utils/focusMode.js";
+import { BLOCK_REASONS, parseBlockPageUrl } from "../utils/siteBlocking.js";
+import { LIMIT_TYPES } from "../utils/timeLimits.js";
+
+// How often a limit block checks whether the day has turned over
+const LIMIT_POLL_MS = 30 * 1000;
+
+export default function Blocked() {
+    const [{ reason, url: blockedUrl }] = useState(() =>
+        parseBlockPageUrl(window.location.href)
+    );
+    const [focus, setFocus] = useState(undefined); // undefined while loading
+    const [limit, setLimit] = useState(null);
+    const [resetsAt, setResetsAt] = useState(null);
+    const [category, setCategory] = useState(null);
+    const [taxonomy, setTaxonomy] = useState(DEFAULT_TAXONOMY);
+    const [now, setNow] = useState(Date.now());
+    const [error, setError] = useState("");
+    const isLimit = reason === BLOCK_REASONS.LIMIT;
+
+    let domain = "";
+    try {
+        domain = new URL(blockedUrl).hostname;
+    } catch {
+        domain = blockedUrl;
+    }
+
+    useEffect(() => {
+        chrome.runtime.sendMessage(
+            { type: "getSiteCategory", url: blockedUrl },
+            (resp) => {
+                if (chrome.runtime.lastError || !resp?.category) return;
+                setCategory(resp.category);
+            }
+        );
+        loadTaxonomy()
+            .then(setTaxonomy)
+            .catch((e) => console.warn("Failed to load categories:", e));
+
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [blockedUrl]);
+
+    // Focus blocks follow the focus session
+    useEffect(() => {
+        if (isLimit) return undefined;
+        chrome.runtime.sendMessage({ type: "GET_FOCUS_STATE" }, (resp) => {
+            if (chrome.runtime.lastError) return;
+            setFocus(resp?.focus || null);
+        });
+        return onFocusChanged(setFocus);
+    }, [isLimit]);
+
+    // Limit blocks last until the limit resets at midnight
+    useEffect(() => {
+        if (!isLimit) return undefined;
+        const check = () => {
+            chrome.runtime.sendMessage(
+                { type: "getBlockReason", url: blockedUrl },
+                (blocked) => {
+                    if (chrome.runtime.lastError) return;
+                    if (!blocked?.reason) {
+                        window.location.replace(blockedUrl);
+                        return;
+                    }
+                    chrome.runtime.sendMessage(
+                        { type: "GET_LIMIT_STATUS" },
+                        (resp) => {
+                            if (chrome.runtime.lastError || !resp?.limits) {
+                                return;
+                            }
+                            setResetsAt(resp.resetsAt);
+                            setLimit(
+                                resp.limits.find(
+                                    (entry) => entry.id === blocked.limit?.id
+                                ) || null
+                            );
+                        }
+                    );
+                }
+            );
+        };
+        check();
+        const timer = setInterval(check, LIMIT_POLL_MS);
+        return () => clearInterval(timer);
+    }, [isLimit, blockedUrl]);
+
+    // Once focus mode is over, carry on to the page that was blocked
+    const finished =
+        !isLimit && (focus === null || (focus && focus.endsAt <= now));
+    useEffect(() => {
+        if (finished && blockedUrl) window.location.replace(blockedUrl);
+    }, [finished, blockedUrl]);
+
+    const allowForAWhile = () => {
+        chrome.runtime.sendMessage(
+            { type: "FOCUS_BYPASS", url: blockedUrl },
+            (resp) => {
+                if (chrome.runtime.lastError || !resp?.success) {
+                    setError(resp?.error || "Could not unblock this site");
+                    return;
+                }
+                window.location.replace(blockedUrl);
+            }
+        );
+    };
+
+    const goBack = () => {
+        if (window.history.length > 1) {
+            window.history.back();
+            return;
+        }
+        chrome.tabs.getCurrent((tab) => {
+            if (tab) chrome.tabs.remove(tab.id);
+        });
+    };
+
+    const site = (
+        <p className="blocked-site">
+            {domain}
+            {category && (
+                <span className="blocked-category">
+                    {getCategoryIcon(category, taxonomy)}{" "}
+                    {getCategoryDisplayName(category, taxonomy)}
+                </span>
+            )}
+        </p>
+    );
+
+    if (isLimit) {
+        return (
+            <div className="blocked-page">
+                <div className="blocked-card">
+                    <div className="blocked-icon">⏳</div>
+                    <h1>Daily limit reached</h1>
+                    {site}
+                    <p>has used up its time for today.</p>
+
+                    {limit && (
+                        <div className="blocked-countdown">
+                            {`${Math.round(limit.used / 60000)} / ${
+                                limit.minutes
+                            } min`}
+                            <small>
+                                {limit.type === LIMIT_TYPES.CATEGORY
+                                    ? getCategoryDisplayName(
+                                          limit.target,
+                                          taxonomy
+                                      )
+                                    : limit.target}{" "}
+                                today
+                            </small>
+                        </div>
+                    )}
+
+                    <div className="blocked-actions">
+                        <button className="blocked-primary" onClick={goBack}>
+                            ← Go back
+                        </button>
+                    </div>
+                    <p className="blocked-note">
+                        {resetsAt
+                            ? `Limits reset at midnight (in ${formatCountdown(
+                                  (resetsAt - now) / 1000
+                              )}).`
+                            : "Limits reset at midnight."}{" "}
+                        Change them in Options.
+                    </p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="blocked-page">
+            <div className="blocked-card">
+                <div className="blocked-icon">🎯</div>
+                <h1>Stay focused</h1>
+                {site}
+                <p>is blocked during your focus session.</p>
+
+                {focus && (
+                    <div className="blocked-countdown">
+                        {formatCountdown((focus.endsAt - now) / 1000)}
+                        <small>left in this session</small>
+                    </div>
+                )}
+
+                <div className="blocked-actions">
+                    <button className="blocked-primary" onClick={goBack}>
+                        ← Back to work
+                    </button>
+                    <button
+                        className="blocked-secondary"
+                        onClick={allowForAWhile}
+                        disabled={!focus}
+                    >
+                        Allow {BYPASS_MINUTES} minutes
+                    </button>
+                </div>
+                {error && <p className="blocked-error">{error}</p>}
+                <p className="blocked-note">
+                    Unblocking is logged and counted in the popup.
+                </p>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,9 @@
+import React from "react";
+import { createRoot } from "react-dom/client";
+import Blocked from "./Blocked.jsx";
+
+createRoot(document.getElementById("root")).render(
+    <React.StrictMode>
+        <Blocked />
+    </React.StrictMode>
+);
@@ -18,6 +18,23 @@
     let commentsSentiment = [];
     let userInteractions = [];
 
+    // The site's content policy from the background: "full", "time" (never
+    // read the page) or "ignore". Nothing is read until it says "full".
+    let contentPolicy = null;
+    const contentPolicyReady = new Promise((resolve) => {
+        safeSendMessage(
+            { type: "GET_CONTENT_POLICY", url: window.location.href },
+            (resp) => {
+                contentPolicy = resp?.policy || null;
+                resolve(contentPolicy);
+            }
+        );
+    });
+
+    function canReadPage() {
+        return contentPolicy === "full";
+    }
+
     // Enhanced sensitive input detection
     function isSensitiveInput(el) {
         if (!el) return false;
@@ -211,6 +228,7 @@
 
                     // Analyze comments and posts for sentiment
                     if (
+                        canReadPage() &&
                         isCommentArea(active) &&
                         ev.key === "Enter" &&
                         active.value.length > 10
@@ -352,6 +370,7 @@
 
     // Enhanced text extraction with metadata
     function extractPageText() {
+        if (!canReadPage()) return { text: "", metadata: {} };
         try {
             const bodyText = document.body?.innerText?.slice(0, 50000) || "";
 
@@ -394,7 +413,9 @@
     }
 
     // Auto-send enhanced page data when page loads
-    setTimeout(() => {
+    setTimeout(async () => {
+        await contentPolicyReady;
+        if (!canReadPage()) return;
         const pageData = extractPageText();
         safeSendMessage({
             type: "page_html",
@@ -410,29 +431,34 @@
         if (!msg?.type) return;
 
         if (msg.type === "request_full_text") {
-            const pageData = extractPageText();
-            sendResp({
-                text: pageData.text,
-                metadata: pageData.metadata,
-                engagement: engagement,
-                userInteractions: userInteractions.slice(-20),
-                commentsSentiment: commentsSentiment.slice(-10),
+            contentPolicyReady.then(() => {
+                const pageData = extractPageText();
+                sendResp({
+                    text: pageData.text,
+                    metadata: pageData.metadata,
+                    engagement: engagement,
+                    userInteractions: userInteractions.slice(-20),
+                    commentsSentiment: commentsSentiment.slice(-10),
+                });
             });
             return true;
         }
 
         if (msg.type === "get_page_metadata") {
-            const pageData = extractPageText();
-            sendResp({ metadata: pageData.metadata });
+            contentPolicyReady.then(() => {
+                const pageData = extractPageText();
+                sendResp({ metadata: pageData.metadata });
+            });
             return true;
         }
 
         if (msg.type === "analyze_visible_content") {
             // Analyze only visible content for better performance
-            const visibleText = getVisibleText();
-            sendResp({
-                text: visibleText,
-                timestamp: Date.now(),
+            contentPolicyReady.then(() => {
+                sendResp({
+                    text: canReadPage() ? getVisibleText() : "",
+                    timestamp: Date.now(),
+                });
             });
             return true;
         }
@@ -1,106 +1,702 @@
+/* global chrome */
 import React, { useEffect, useState } from "react";
 import "./enhanced-options.css";
-import { CATEGORIES, DEFAULT_CATEGORY_PATTERNS } from "../utils/categories.js";
+import {
+    CATEGORIES,
+    CATEGORY_WEIGHTS,
+    DEFAULT_TAXONOMY,
+    getCategoryDisplayName,
+    loadTaxonomy,
+    onTaxonomyChanged,
+    saveTaxonomy,
+    slugifyCategoryName,
+    validateCategory,
+} from "../utils/categories.js";
+import {
+    CONFLICT_RESOLUTIONS,
+    applyPackImport,
+    createCategoryPack,
+    parseCategoryPack,
+    planPackImport,
+} from "../utils/categoryPacks.js";
+import {
+    RULE_TYPES,
+    USER_RULE_PRIORITY,
+    createRuleId,
+    describeRule,
+    explainCategory,
+    loadUserRules,
+    onUserRulesChanged,
+    saveUserRules,
+    validateRule,
+} from "../utils/categoryRules.js";
+import {
+    CONTENT_POLICIES,
+    CONTENT_POLICY_LABELS,
+    loadDomainPolicies,
+    onDomainPoliciesChanged,
+    saveDomainPolicies,
+    setDomainPolicy,
+} from "../utils/contentPolicy.js";
+import { PII_LABELS } from "../utils/piiScrubber.js";
+import {
+    BADGE_MODES,
+    DEFAULT_SETTINGS,
+    loadSettings,
+    onSettingsChanged,
+    resetSettings,
+    updateSettings,
+} from "../utils/settings.js";
+import {
+    DAY_NAMES,
+    WORKDAY_WINDOW,
+    createWindowId,
+    describeDays,
+    unscheduledDays,
+    validateScheduleWindow,
+} from "../utils/schedule.js";
+import { normalizeDomain } from "../utils/siteBlocking.js";
+import {
+    LIMIT_TYPES,
+    createLimitId,
+    loadLimits,
+    onLimitsChanged,
+    saveLimits,
+    validateLimit,
+} from "../utils/timeLimits.js";
 
-export default function Options() {
-    const [settings, setSettings] = useState({
-        contentScanning: true,
-        emotionalAnalysis: true,
-        productivityTracking: true,
-        biasDetection: true,
-        excludeList: [],
-        scanInterval: 30000,
-        onboardingCompleted: false,
+const RULE_PLACEHOLDERS = {
+    [RULE_TYPES.SUFFIX]: "example.com",
+    [RULE_TYPES.EXACT]: "mail.example.com",
+    [RULE_TYPES.PATH]: "youtube.com/watch?v=...",
+    [RULE_TYPES.REGEX]: "^https://[^/]+\\.edu/",
+};
+
+// [[category, rules], ...] for the rule list, in the order categories appear
+function groupRulesByCategory(rules) {
+    const groups = {};
+    rules.forEach((rule) => {
+        (groups[rule.category] = groups[rule.category] || []).push(rule);
+    });
+    return Object.entries(groups);
+}
+
+const EMPTY_CATEGORY = {
+    name: "",
+    icon: "🏷️",
+    color: "#3F51B5",
+    weight: CATEGORY_WEIGHTS.NEUTRAL,
+};
+
+const EMPTY_LIMIT = { type: LIMIT_TYPES.DOMAIN, target: "", minutes: 60 };
+
+// Save `data` as a JSON file through a temporary download link
+function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+        type: "application/json",
     });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
 
-    const [userCategories, setUserCategories] = useState({});
+const WEIGHT_LABELS = {
+    [CATEGORY_WEIGHTS.PRODUCTIVE]: "Productive",
+    [CATEGORY_WEIGHTS.NEUTRAL]: "Neutral",
+    [CATEGORY_WEIGHTS.DISTRACTING]: "Distracting",
+};
+
+export default function Options() {
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+
+    const [userRules, setUserRules] = useState([]);
     const [excludeText, setExcludeText] = useState("");
     const [newSiteUrl, setNewSiteUrl] = useState("");
     const [newSiteCategory, setNewSiteCategory] = useState(
         CATEGORIES.PRODUCTIVITY
     );
+    const [newRuleType, setNewRuleType] = useState(RULE_TYPES.SUFFIX);
+    const [newRulePriority, setNewRulePriority] = useState(USER_RULE_PRIORITY);
+    const [testUrl, setTestUrl] = useState("");
+    const [testResult, setTestResult] = useState(null);
+    const [taxonomy, setTaxonomy] = useState(DEFAULT_TAXONOMY);
+    const [newCategory, setNewCategory] = useState(EMPTY_CATEGORY);
+    const [deletingCategory, setDeletingCategory] = useState(null);
+    const [suggestions, setSuggestions] = useState([]);
+    const [selectedSuggestions, setSelectedSuggestions] = useState([]);
+    const [packName, setPackName] = useState("");
+    const [packImport, setPackImport] = useState(null);
+    const [limits, setLimits] = useState([]);
+    const [limitUsage, setLimitUsage] = useState({}); // limit id -> ms today
+    const [newLimit, setNewLimit] = useState(EMPTY_LIMIT);
+    const [syncingLimits, setSyncingLimits] = useState(false);
+    const [authStatus, setAuthStatus] = useState(null);
+    const [apiBaseUrl, setApiBaseUrl] = useState("");
+    const [email, setEmail] = useState("");
+    const [password, setPassword] = useState("");
+    const [signingIn, setSigningIn] = useState(false);
     const [status, setStatus] = useState("");
     const [activeTab, setActiveTab] = useState("general");
+    const [uploadPreview, setUploadPreview] = useState(null);
+    const [redactionLog, setRedactionLog] = useState([]);
+    const [domainPolicies, setDomainPolicies] = useState({});
+    const [newPolicyDomain, setNewPolicyDomain] = useState("");
+    const [newPolicy, setNewPolicy] = useState(CONTENT_POLICIES.TIME_ONLY);
+
+    useEffect(() => {
+        // Load current settings (migrating older ones on first run)
+        loadSettings()
+            .then((loaded) => {
+                setSettings(loaded);
+                setExcludeText(loaded.excludedSites.join("\n"));
+                setApiBaseUrl(loaded.apiBaseUrl);
+            })
+            .catch((error) => console.error("Error loading settings:", error));
+
+        loadUserRules()
+            .then(setUserRules)
+            .catch((error) =>
+                console.error("Error loading category rules:", error)
+            );
+        loadTaxonomy()
+            .then(setTaxonomy)
+            .catch((error) =>
+                console.error("Error loading categories:", error)
+            );
 
+        loadLimits()
+            .then(setLimits)
+            .catch((error) => console.error("Error loading limits:", error));
+
+        loadDomainPolicies()
+            .then(setDomainPolicies)
+            .catch((error) =>
+                console.error("Error loading content policies:", error)
+            );
+
+        refreshAuthStatus();
+        refreshLimitStatus();
+
+        // Stay in sync with changes made elsewhere (popup, other devices)
+        const unsubscribeSettings = onSettingsChanged((newSettings) =>
+            setSettings(newSettings)
+        );
+        const unsubscribeRules = onUserRulesChanged(setUserRules);
+        const unsubscribeTaxonomy = onTaxonomyChanged(setTaxonomy);
+        const unsubscribeLimits = onLimitsChanged((newLimits) => {
+            setLimits(newLimits);
+            refreshLimitStatus();
+        });
+        const unsubscribePolicies = onDomainPoliciesChanged(setDomainPolicies);
+        return () => {
+            unsubscribeSettings();
+            unsubscribeRules();
+            unsubscribeTaxonomy();
+            unsubscribeLimits();
+            unsubscribePolicies();
+        };
+    }, []);
+
+    // Suggestions depend on what was browsed since, so reload them each time
+    // the tab is opened
+    useEffect(() => {
+        if (activeTab === "categories") refreshSuggestions();
+        if (activeTab === "debug") refreshRedactionLog();
+    }, [activeTab]);
+
+    // The upload preview follows the privacy options as they are toggled
     useEffect(() => {
-        // Load current settings
-        chrome.storage.local.get(
+        if (activeTab !== "privacy") return;
+        chrome.runtime.sendMessage(
             {
-                settings: {
-                    contentScanning: true,
-                    emotionalAnalysis: true,
-                    productivityTracking: true,
-                    biasDetection: true,
-                    excludeList: [],
-                    scanInterval: 30000,
-                    onboardingCompleted: false,
-                },
-                userCategories: {},
+                type: "PREVIEW_UPLOAD",
+                privacyMode: settings.privacyMode,
+                hashDomains: settings.hashDomains,
             },
-            (res) => {
-                setSettings(res.settings || {});
-                setUserCategories(res.userCategories || {});
-                setExcludeText((res.settings.excludeList || []).join("\\n"));
+            (resp) => {
+                if (chrome.runtime.lastError || !resp?.payload) return;
+                setUploadPreview(resp);
             }
         );
-    }, []);
+    }, [activeTab, settings.privacyMode, settings.hashDomains]);
+
+    function refreshRedactionLog() {
+        chrome.runtime.sendMessage({ type: "GET_REDACTION_LOG" }, (resp) => {
+            if (chrome.runtime.lastError || !resp?.log) return;
+            setRedactionLog(resp.log);
+        });
+    }
+
+    function describeRedactions(counts) {
+        return Object.entries(counts)
+            .filter(([, count]) => count > 0)
+            .map(([type, count]) => `${PII_LABELS[type] || type} × ${count}`)
+            .join(" · ");
+    }
+
+    function refreshAuthStatus() {
+        chrome.runtime.sendMessage({ type: "getAuthStatus" }, (resp) => {
+            if (chrome.runtime.lastError || !resp) return;
+            setAuthStatus(resp);
+        });
+    }
+
+    function saveApiBaseUrl() {
+        const value = apiBaseUrl.trim();
+        if (value) {
+            try {
+                const url = new URL(value);
+                if (!["http:", "https:"].includes(url.protocol)) {
+                    throw new Error("Unsupported protocol");
+                }
+            } catch {
+                showStatus("Enter a valid http(s) backend URL");
+                return;
+            }
+        }
+
+        // An empty value falls back to the built-in default
+        updateSetting("apiBaseUrl", value, "Backend URL saved");
+        setTimeout(refreshAuthStatus, 100);
+    }
+
+    function signIn(e) {
+        e.preventDefault();
+        if (!email || !password) {
+            showStatus("Enter your email and password");
+            return;
+        }
+
+        setSigningIn(true);
+        chrome.runtime.sendMessage(
+            { type: "SIGN_IN", email: email.trim(), password },
+            (resp) => {
+                setSigningIn(false);
+                if (chrome.runtime.lastError || !resp?.success) {
+                    showStatus(resp?.error || "Sign-in failed");
+                    return;
+                }
+                setPassword("");
+                setAuthStatus(resp.status);
+                showStatus(`Signed in as ${resp.status.email}`);
+            }
+        );
+    }
 
-    function updateSetting(key, value) {
-        const newSettings = { ...settings, [key]: value };
-        setSettings(newSettings);
-        chrome.storage.local.set({ settings: newSettings }, () => {
-            showStatus("Settings saved");
+    function describeAuthStatus(auth) {
+        if (!auth) return "Checking sign-in status...";
+        if (auth.signedIn) {
+            return auth.source === "dashboard"
+                ? `Signed in as ${auth.email} through the web dashboard`
+                : `Signed in as ${auth.email}`;
+        }
+        if (auth.expired) {
+            return `Your session for ${auth.email} has expired. Sign in again to resume uploads.`;
+        }
+        return "Not signed in. Nothing is sent to the backend until you sign in.";
+    }
+
+    function signOut() {
+        chrome.runtime.sendMessage({ type: "SIGN_OUT" }, (resp) => {
+            if (chrome.runtime.lastError || !resp?.success) {
+                showStatus("Sign-out failed");
+                return;
+            }
+            setAuthStatus(resp.status);
+            showStatus("Signed out - uploads stopped");
         });
     }
 
+    function updateSetting(key, value, message = "Settings saved") {
+        setSettings({ ...settings, [key]: value });
+        updateSettings({ [key]: value })
+            .then((saved) => {
+                setSettings(saved);
+                showStatus(message);
+            })
+            .catch(() => showStatus("Failed to save settings"));
+    }
+
     function saveExcludeList() {
-        const excludeList = excludeText
-            .split("\\n")
+        const excludedSites = excludeText
+            .split("\n")
             .map((x) => x.trim())
             .filter(Boolean);
-        updateSetting("excludeList", excludeList);
+        updateSetting("excludedSites", excludedSites);
     }
 
-    function addSiteCategory() {
+    function addCategoryRule() {
         if (!newSiteUrl.trim()) {
             showStatus("Please enter a valid URL");
             return;
         }
 
-        const newCategories = { ...userCategories };
-        if (!newCategories[newSiteCategory]) {
-            newCategories[newSiteCategory] = [];
+        const rule = {
+            id: createRuleId(),
+            type: newRuleType,
+            pattern: normalizeRulePattern(newSiteUrl, newRuleType),
+            category: newSiteCategory,
+            priority: Number(newRulePriority),
+            source: "user",
+        };
+        const error = validateRule(rule);
+        if (error) {
+            showStatus(error);
+            return;
+        }
+
+        if (
+            userRules.some(
+                (r) => r.type === rule.type && r.pattern === rule.pattern
+            )
+        ) {
+            showStatus("A rule with this pattern already exists");
+            return;
         }
 
-        const domain = extractDomain(newSiteUrl);
-        if (!newCategories[newSiteCategory].includes(domain)) {
-            newCategories[newSiteCategory].push(domain);
-            setUserCategories(newCategories);
-            chrome.storage.local.set({ userCategories: newCategories }, () => {
-                showStatus(`Added ${domain} to ${newSiteCategory} category`);
-                setNewSiteUrl("");
-            });
-        } else {
-            showStatus("Site already exists in this category");
+        const newRules = [...userRules, rule];
+        setUserRules(newRules);
+        saveUserRules(newRules).then(() => {
+            showStatus(`Added ${rule.pattern} to ${rule.category} category`);
+            setNewSiteUrl("");
+        });
+    }
+
+    function removeCategoryRule(rule) {
+        const newRules = userRules.filter((r) => r.id !== rule.id);
+        setUserRules(newRules);
+        saveUserRules(newRules).then(() => {
+            showStatus(
+                `Removed ${rule.pattern} from ${rule.category} category`
+            );
+        });
+    }
+
+    // Host rules store a bare hostname, path rules host + path
+    function normalizeRulePattern(input, type) {
+        const value = input.trim();
+        if (type === RULE_TYPES.REGEX) return value;
+        if (type === RULE_TYPES.PATH) {
+            return value.replace(/^https?:\/\//i, "").toLowerCase();
+        }
+        return extractDomain(value);
+    }
+
+    // Keep every edit on screen, but only save a schedule whose windows are
+    // all valid
+    function saveSchedule(schedule) {
+        setSettings({ ...settings, trackingSchedule: schedule });
+        const error = schedule.windows
+            .map(validateScheduleWindow)
+            .find(Boolean);
+        if (error) {
+            showStatus(error);
+            return;
         }
+        updateSetting("trackingSchedule", schedule, "Schedule saved");
+    }
+
+    function toggleSchedule(enabled) {
+        const schedule = settings.trackingSchedule;
+        saveSchedule({
+            ...schedule,
+            enabled,
+            windows:
+                enabled && schedule.windows.length === 0
+                    ? [{ ...WORKDAY_WINDOW, id: createWindowId() }]
+                    : schedule.windows,
+        });
+    }
+
+    function updateScheduleWindow(id, patch) {
+        const schedule = settings.trackingSchedule;
+        saveSchedule({
+            ...schedule,
+            windows: schedule.windows.map((range) =>
+                range.id === id ? { ...range, ...patch } : range
+            ),
+        });
+    }
+
+    function toggleScheduleDay(range, day) {
+        updateScheduleWindow(range.id, {
+            days: range.days.includes(day)
+                ? range.days.filter((d) => d !== day)
+                : [...range.days, day],
+        });
+    }
+
+    function addScheduleWindow() {
+        const schedule = settings.trackingSchedule;
+        saveSchedule({
+            ...schedule,
+            windows: [
+                ...schedule.windows,
+                { ...WORKDAY_WINDOW, id: createWindowId() },
+            ],
+        });
+    }
+
+    function removeScheduleWindow(id) {
+        const schedule = settings.trackingSchedule;
+        saveSchedule({
+            ...schedule,
+            windows: schedule.windows.filter((range) => range.id !== id),
+        });
     }
 
-    function removeSiteCategory(category, domain) {
-        const newCategories = { ...userCategories };
-        if (newCategories[category]) {
-            newCategories[category] = newCategories[category].filter(
-                (d) => d !== domain
+    function refreshLimitStatus() {
+        chrome.runtime.sendMessage({ type: "GET_LIMIT_STATUS" }, (resp) => {
+            if (chrome.runtime.lastError || !resp?.limits) return;
+            setLimitUsage(
+                Object.fromEntries(
+                    resp.limits.map((limit) => [limit.id, limit.used])
+                )
             );
-            if (newCategories[category].length === 0) {
-                delete newCategories[category];
-            }
+        });
+    }
+
+    function changeLimitType(type) {
+        setNewLimit({
+            ...newLimit,
+            type,
+            target: type === LIMIT_TYPES.CATEGORY ? CATEGORIES.SOCIAL : "",
+        });
+    }
+
+    function addLimit() {
+        const limit = {
+            id: createLimitId(),
+            type: newLimit.type,
+            target:
+                newLimit.type === LIMIT_TYPES.DOMAIN
+                    ? normalizeDomain(newLimit.target)
+                    : newLimit.target,
+            minutes: Number(newLimit.minutes),
+            source: "user",
+        };
+        const error = validateLimit(limit, limits);
+        if (error) {
+            showStatus(error);
+            return;
+        }
+
+        // A limit set here replaces the dashboard's for the same target
+        const newLimits = [
+            ...limits.filter(
+                (other) =>
+                    other.type !== limit.type || other.target !== limit.target
+            ),
+            limit,
+        ];
+        setLimits(newLimits);
+        saveLimits(newLimits).then(() => {
+            showStatus(`Limited ${limit.target} to ${limit.minutes} min a day`);
+            setNewLimit({ ...newLimit, target: EMPTY_LIMIT.target });
+        });
+    }
+
+    function removeLimit(limit) {
+        const newLimits = limits.filter((other) => other.id !== limit.id);
+        setLimits(newLimits);
+        saveLimits(newLimits).then(() =>
+            showStatus(`Removed the limit for ${limit.target}`)
+        );
+    }
+
+    function setCategoryPolicy(category, policy) {
+        const policies = settings.contentPolicies;
+        updateSetting("contentPolicies", {
+            ...policies,
+            categories: { ...policies.categories, [category]: policy },
+        });
+    }
+
+    function addDomainPolicy() {
+        const domain = normalizeDomain(newPolicyDomain);
+        if (!domain) {
+            showStatus("Enter a domain");
+            return;
         }
-        setUserCategories(newCategories);
-        chrome.storage.local.set({ userCategories: newCategories }, () => {
-            showStatus(`Removed ${domain} from ${category} category`);
+        const newPolicies = setDomainPolicy(domainPolicies, domain, newPolicy);
+        setDomainPolicies(newPolicies);
+        saveDomainPolicies(newPolicies).then(() => {
+            showStatus(`${domain}: ${CONTENT_POLICY_LABELS[newPolicy]}`);
+            setNewPolicyDomain("");
+        });
+    }
+
+    function removeDomainPolicy(domain) {
+        const newPolicies = setDomainPolicy(domainPolicies, domain, null);
+        setDomainPolicies(newPolicies);
+        saveDomainPolicies(newPolicies).then(() =>
+            showStatus(`Removed the setting for ${domain}`)
+        );
+    }
+
+    function syncLimitsNow() {
+        setSyncingLimits(true);
+        chrome.runtime.sendMessage(
+            { type: "SYNC_DASHBOARD_LIMITS" },
+            (resp) => {
+                setSyncingLimits(false);
+                if (chrome.runtime.lastError || !resp?.success) {
+                    showStatus(resp?.error || "Could not sync limits");
+                    return;
+                }
+                showStatus(`Synced ${resp.synced} limits from the dashboard`);
+            }
+        );
+    }
+
+    function describeLimitTarget(limit) {
+        return limit.type === LIMIT_TYPES.CATEGORY
+            ? getCategoryDisplayName(limit.target, taxonomy)
+            : limit.target;
+    }
+
+    function refreshSuggestions() {
+        chrome.runtime.sendMessage(
+            { type: "GET_CATEGORY_SUGGESTIONS" },
+            (resp) => {
+                if (chrome.runtime.lastError || !resp?.suggestions) return;
+                setSuggestions(resp.suggestions);
+                setSelectedSuggestions(
+                    resp.suggestions.map((suggestion) => suggestion.domain)
+                );
+            }
+        );
+    }
+
+    function toggleSuggestion(domain) {
+        setSelectedSuggestions(
+            selectedSuggestions.includes(domain)
+                ? selectedSuggestions.filter((d) => d !== domain)
+                : [...selectedSuggestions, domain]
+        );
+    }
+
+    function resolveSuggestions(accept) {
+        const chosen = suggestions.filter((suggestion) =>
+            selectedSuggestions.includes(suggestion.domain)
+        );
+        if (chosen.length === 0) return;
+
+        const message = accept
+            ? {
+                  type: "ACCEPT_CATEGORY_SUGGESTIONS",
+                  items: chosen.map(({ domain, category }) => ({
+                      domain,
+                      category,
+                  })),
+              }
+            : {
+                  type: "DISMISS_CATEGORY_SUGGESTIONS",
+                  domains: chosen.map((suggestion) => suggestion.domain),
+              };
+        chrome.runtime.sendMessage(message, (resp) => {
+            if (chrome.runtime.lastError || !resp?.success) {
+                showStatus("Failed to update suggestions");
+                return;
+            }
+            showStatus(
+                accept
+                    ? `Accepted ${chosen.length} suggestion(s)`
+                    : `Dismissed ${chosen.length} suggestion(s)`
+            );
+            refreshSuggestions();
+        });
+    }
+
+    function exportCategoryPack() {
+        const pack = createCategoryPack(packName, userRules, taxonomy);
+        downloadJson(pack, `${slugifyCategoryName(pack.name)}.json`);
+        showStatus(`Exported ${pack.rules.length} rule(s)`);
+    }
+
+    function importCategoryPack(event) {
+        const file = event.target.files[0];
+        // Let the same file be picked again after a cancel
+        event.target.value = "";
+        if (!file) return;
+
+        file.text()
+            .then((text) => {
+                const plan = planPackImport(
+                    parseCategoryPack(text),
+                    userRules,
+                    taxonomy
+                );
+                const resolutions = {};
+                plan.conflicts.forEach(({ key }) => {
+                    resolutions[key] = CONFLICT_RESOLUTIONS.KEEP_MINE;
+                });
+                previewPackImport(plan, resolutions);
+            })
+            .catch((error) => showStatus(error.message));
+    }
+
+    // Ask the background which recorded sites the import would move to
+    // another category
+    function previewPackImport(plan, resolutions) {
+        setPackImport({ plan, resolutions, changes: null });
+        const { rules } = applyPackImport(
+            plan,
+            userRules,
+            taxonomy,
+            resolutions
+        );
+        chrome.runtime.sendMessage(
+            { type: "PREVIEW_CATEGORY_RULES", rules },
+            (resp) => {
+                if (chrome.runtime.lastError || !resp?.changes) return;
+                setPackImport((current) =>
+                    current?.resolutions === resolutions
+                        ? { ...current, changes: resp.changes }
+                        : current
+                );
+            }
+        );
+    }
+
+    function resolveConflict(key, resolution) {
+        previewPackImport(packImport.plan, {
+            ...packImport.resolutions,
+            [key]: resolution,
         });
     }
 
+    function confirmPackImport() {
+        const { plan, resolutions } = packImport;
+        const result = applyPackImport(plan, userRules, taxonomy, resolutions);
+        chrome.runtime.sendMessage(
+            {
+                type: "APPLY_CATEGORY_RULES",
+                rules: result.rules,
+                taxonomy: result.taxonomy,
+            },
+            (resp) => {
+                if (chrome.runtime.lastError || !resp?.success) {
+                    showStatus(resp?.error || "Failed to import pack");
+                    return;
+                }
+                setPackImport(null);
+                showStatus(
+                    `Imported ${plan.name}; ${resp.recategorized} visit(s) recategorized`
+                );
+            }
+        );
+    }
+
+    function testCategoryRules() {
+        if (!testUrl.trim()) return;
+        const url = testUrl.startsWith("http") ? testUrl : `https://${testUrl}`;
+        setTestResult(explainCategory(url.trim(), userRules));
+    }
+
     function extractDomain(url) {
         try {
             return new URL(url.startsWith("http") ? url : `https://${url}`)
@@ -110,63 +706,119 @@ export default function Options() {
         }
     }
 
-    function showStatus(message) {
-        setStatus(message);
-        setTimeout(() => setStatus(""), 3000);
+    function addCategory() {
+        const category = {
+            ...newCategory,
+            id: slugifyCategoryName(newCategory.name),
+            name: newCategory.name.trim(),
+            builtIn: false,
+        };
+        if (taxonomy.some((entry) => entry.id === category.id)) {
+            showStatus(`A category named "${category.name}" already exists`);
+            return;
+        }
+        const error = validateCategory(category, taxonomy);
+        if (error) {
+            showStatus(error);
+            return;
+        }
+
+        const newTaxonomy = [...taxonomy, category];
+        setTaxonomy(newTaxonomy);
+        saveTaxonomy(newTaxonomy).then(() => {
+            showStatus(`Added ${category.name} category`);
+            setNewCategory(EMPTY_CATEGORY);
+        });
     }
 
-    function resetToDefaults() {
-        const defaultSettings = {
-            contentScanning: true,
-            emotionalAnalysis: true,
-            productivityTracking: true,
-            biasDetection: true,
-            excludeList: [],
-            scanInterval: 30000,
-            onboardingCompleted: false,
+    // The id stays the same, so recorded history follows a renamed category
+    function updateCategory(id, patch) {
+        const category = {
+            ...taxonomy.find((entry) => entry.id === id),
+            ...patch,
         };
+        const error = validateCategory(category, taxonomy);
+        if (error) {
+            showStatus(error);
+            return;
+        }
 
-        setSettings(defaultSettings);
-        setUserCategories({});
-        setExcludeText("");
+        const newTaxonomy = taxonomy.map((entry) =>
+            entry.id === id ? category : entry
+        );
+        setTaxonomy(newTaxonomy);
+        saveTaxonomy(newTaxonomy).then(() => {
+            showStatus(`Updated ${category.name} category`);
+        });
+    }
 
-        chrome.storage.local.set(
-            {
-                settings: defaultSettings,
-                userCategories: {},
-            },
-            () => {
-                showStatus("Settings reset to defaults");
+    // History lives in the background's event store, so the worker moves
+    // it to the replacement category before removing this one
+    function deleteCategory() {
+        const { id, replacement } = deletingCategory;
+        chrome.runtime.sendMessage(
+            { type: "DELETE_CATEGORY", category: id, replacement },
+            (response) => {
+                if (chrome.runtime.lastError || !response?.success) {
+                    showStatus(response?.error || "Failed to delete category");
+                    return;
+                }
+                setDeletingCategory(null);
+                showStatus(
+                    `Deleted category; ${response.reassigned} visit(s) moved to ${getCategoryDisplayName(
+                        replacement,
+                        taxonomy
+                    )}`
+                );
             }
         );
     }
 
+    function showStatus(message) {
+        setStatus(message);
+        setTimeout(() => setStatus(""), 3000);
+    }
+
+    function resetToDefaults() {
+        setSettings(DEFAULT_SETTINGS);
+        setUserRules([]);
+        setExcludeText(DEFAULT_SETTINGS.excludedSites.join("\n"));
+        setApiBaseUrl("");
+
+        resetSettings()
+            .then(() => saveUserRules([]))
+            .then(() => showStatus("Settings reset to defaults"))
+            .catch(() => showStatus("Failed to reset settings"));
+    }
+
     function exportData() {
-        chrome.storage.local.get(
-            ["events", "contentAnalyses", "settings", "userCategories"],
-            (res) => {
-                const data = {
-                    events: res.events || [],
-                    contentAnalyses: res.contentAnalyses || [],
-                    settings: res.settings || {},
-                    userCategories: res.userCategories || {},
-                    exportDate: new Date().toISOString(),
-                };
-
-                const blob = new Blob([JSON.stringify(data, null, 2)], {
-                    type: "application/json",
-                });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement("a");
-                a.href = url;
-                a.download = `digital-footprint-data-${
-                    new Date().toISOString().split("T")[0]
-                }.json`;
-                a.click();
-                URL.revokeObjectURL(url);
-                showStatus("Data exported successfully");
+        // History lives in the background's IndexedDB store, so ask the
+        // service worker for it
+        chrome.runtime.sendMessage({ type: "EXPORT_DATA" }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                showStatus("Failed to export data");
+                return;
             }
-        );
+
+            Promise.all([loadUserRules(), loadTaxonomy()]).then(
+                ([categoryRules, categoryTaxonomy]) => {
+                    const data = {
+                        ...response,
+                        categoryRules,
+                        categoryTaxonomy,
+                        exportDate: new Date().toISOString(),
+                    };
+
+                    downloadJson(
+                        data,
+                        `digital-footprint-data-${
+                            new Date().toISOString().split("T")[0]
+                        }.json`
+                    );
+                    showStatus("Data exported successfully");
+                }
+            );
+        });
     }
 
     function clearAllData() {
@@ -175,14 +827,31 @@ export default function Options() {
                 "Are you sure you want to clear all tracking data? This cannot be undone."
             )
         ) {
-            chrome.storage.local.clear(() => {
-                showStatus("All data cleared");
-                // Reload to reset the UI
-                window.location.reload();
+            // Clear the IndexedDB history first, then the storage keys
+            chrome.runtime.sendMessage({ type: "CLEAR_DATA" }, () => {
+                if (chrome.runtime.lastError) {
+                    console.warn(
+                        "Could not clear history:",
+                        chrome.runtime.lastError.message
+                    );
+                }
+                chrome.storage.local.clear(() => {
+                    showStatus("All data cleared");
+                    // Reload to reset the UI
+                    window.location.reload();
+                });
             });
         }
     }
 
+    // Taxonomy including categories an import would add, for its preview
+    const packTaxonomy = packImport
+        ? [...taxonomy, ...packImport.plan.categories]
+        : taxonomy;
+
+    // Days the schedule leaves out entirely
+    const neverTracked = unscheduledDays(settings.trackingSchedule);
+
     return (
         <div className="options-container">
             <header className="options-header">
@@ -214,6 +883,18 @@ export default function Options() {
                 >
                     Privacy & Data
                 </button>
+                <button
+                    className={`tab ${activeTab === "account" ? "active" : ""}`}
+                    onClick={() => setActiveTab("account")}
+                >
+                    Account
+                </button>
+                <button
+                    className={`tab ${activeTab === "debug" ? "active" : ""}`}
+                    onClick={() => setActiveTab("debug")}
+                >
+                    Debug
+                </button>
             </div>
 
             {activeTab === "general" && (
@@ -221,6 +902,30 @@ export default function Options() {
                     <div className="settings-group">
                         <h2>📊 Analysis Features</h2>
 
+                        <div className="setting-item">
+                            <label className="setting-label">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.trackingEnabled}
+                                    onChange={(e) =>
+                                        updateSetting(
+                                            "trackingEnabled",
+                                            e.target.checked
+                                        )
+                                    }
+                                />
+                                <div className="setting-info">
+                                    <span className="setting-title">
+                                        Activity Tracking
+                                    </span>
+                                    <span className="setting-desc">
+                                        Record time spent on sites. Turning this
+                                        off stops tracking until re-enabled
+                                    </span>
+                                </div>
+                            </label>
+                        </div>
+
                         <div className="setting-item">
                             <label className="setting-label">
                                 <input
@@ -349,48 +1054,589 @@ export default function Options() {
                                 </select>
                             </label>
                         </div>
-                    </div>
-
-                    <div className="settings-group">
-                        <h2>🚫 Excluded Sites</h2>
-                        <p>
-                            Enter domains to exclude from tracking (one per
-                            line)
-                        </p>
-                        <textarea
-                            value={excludeText}
-                            onChange={(e) => setExcludeText(e.target.value)}
-                            rows={6}
-                            className="exclude-textarea"
-                            placeholder="example.com&#10;private-site.org&#10;work-internal.com"
-                        />
-                        <button
-                            onClick={saveExcludeList}
-                            className="btn-primary"
-                        >
-                            Save Exclude List
-                        </button>
-                    </div>
-                </div>
-            )}
-
-            {activeTab === "categories" && (
-                <div className="tab-content">
-                    <div className="settings-group">
-                        <h2>🏷️ Custom Site Categories</h2>
-                        <p>
-                            Customize how websites are categorized for better
-                            insights
-                        </p>
 
-                        <div className="add-category">
-                            <input
-                                type="text"
-                                placeholder="Enter website URL or domain"
-                                value={newSiteUrl}
-                                onChange={(e) => setNewSiteUrl(e.target.value)}
-                                className="category-input"
-                            />
+                        <div className="setting-item">
+                            <label className="setting-label">
+                                <div className="setting-info">
+                                    <span className="setting-title">
+                                        Idle Detection
+                                    </span>
+                                    <span className="setting-desc">
+                                        Stop counting time after this long
+                                        without keyboard or mouse input
+                                    </span>
+                                </div>
+                                <select
+                                    value={settings.idleDetectionInterval}
+                                    onChange={(e) =>
+                                        updateSetting(
+                                            "idleDetectionInterval",
+                                            parseInt(e.target.value),
+                                            "Idle detection updated"
+                                        )
+                                    }
+                                    className="setting-select"
+                                >
+                                    <option value={60}>After 1 minute</option>
+                                    <option value={120}>After 2 minutes</option>
+                                    <option value={300}>After 5 minutes</option>
+                                    <option value={600}>
+                                        After 10 minutes
+                                    </option>
+                                    <option value={900}>
+                                        After 15 minutes
+                                    </option>
+                                </select>
+                            </label>
+                        </div>
+
+                        <div className="setting-item">
+                            <label className="setting-label">
+                                <div className="setting-info">
+                                    <span className="setting-title">
+                                        Toolbar Badge
+                                    </span>
+                                    <span className="setting-desc">
+                                        What the icon shows, colored by the
+                                        current site&apos;s category
+                                    </span>
+                                </div>
+                                <select
+                                    value={settings.badgeMode}
+                                    onChange={(e) =>
+                                        updateSetting(
+                                            "badgeMode",
+                                            e.target.value,
+                                            "Badge updated"
+                                        )
+                                    }
+                                    className="setting-select"
+                                >
+                                    <option value={BADGE_MODES.TODAY}>
+                                        Today&apos;s total
+                                    </option>
+                                    <option value={BADGE_MODES.SITE}>
+                                        Time on this site today
+                                    </option>
+                                    <option value={BADGE_MODES.LIMIT}>
+                                        Time left on this site&apos;s limit
+                                    </option>
+                                    <option value={BADGE_MODES.OFF}>
+                                        Nothing
+                                    </option>
+                                </select>
+                            </label>
+                        </div>
+                    </div>
+
+                    <div className="settings-group">
+                        <h2>🗓️ Tracking Schedule</h2>
+
+                        <div className="setting-item">
+                            <label className="setting-label">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.trackingSchedule.enabled}
+                                    onChange={(e) =>
+                                        toggleSchedule(e.target.checked)
+                                    }
+                                />
+                                <div className="setting-info">
+                                    <span className="setting-title">
+                                        Only Track on a Schedule
+                                    </span>
+                                    <span className="setting-desc">
+                                        Tracking pauses outside these windows
+                                        and resumes inside them. Pausing or
+                                        resuming from the popup overrides the
+                                        schedule until its next change
+                                    </span>
+                                </div>
+                            </label>
+                        </div>
+
+                        {settings.trackingSchedule.enabled && (
+                            <>
+                                {settings.trackingSchedule.windows.map(
+                                    (range) => (
+                                        <div
+                                            key={range.id}
+                                            className="schedule-window"
+                                        >
+                                            <div className="schedule-days">
+                                                {[1, 2, 3, 4, 5, 6, 0].map(
+                                                    (day) => (
+                                                        <label
+                                                            key={day}
+                                                            className="day-chip"
+                                                        >
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={range.days.includes(
+                                                                    day
+                                                                )}
+                                                                onChange={() =>
+                                                                    toggleScheduleDay(
+                                                                        range,
+                                                                        day
+                                                                    )
+                                                                }
+                                                            />
+                                                            {DAY_NAMES[day]}
+                                                        </label>
+                                                    )
+                                                )}
+                                            </div>
+                                            <input
+                                                type="time"
+                                                value={range.start}
+                                                onChange={(e) =>
+                                                    updateScheduleWindow(
+                                                        range.id,
+                                                        {
+                                                            start: e.target
+                                                                .value,
+                                                        }
+                                                    )
+                                                }
+                                                className="schedule-time"
+                                            />
+                                            –
+                                            <input
+                                                type="time"
+                                                value={range.end}
+                                                onChange={(e) =>
+                                                    updateScheduleWindow(
+                                                        range.id,
+                                                        { end: e.target.value }
+                                                    )
+                                                }
+                                                className="schedule-time"
+                                            />
+                                            <button
+                                                onClick={() =>
+                                                    removeScheduleWindow(
+                                                        range.id
+                                                    )
+                                                }
+                                                className="btn-remove"
+                                                title="Remove window"
+                                            >
+                                                ×
+                                            </button>
+                                        </div>
+                                    )
+                                )}
+
+                                <p className="setting-desc">
+                                    {neverTracked.length > 0 &&
+                                        `Never tracked: ${describeDays(
+                                            neverTracked
+                                        )}. `}
+                                    An end before the start runs past midnight.
+                                </p>
+                                <button
+                                    onClick={addScheduleWindow}
+                                    className="btn-secondary"
+                                >
+                                    Add Window
+                                </button>
+                            </>
+                        )}
+                    </div>
+
+                    <div className="settings-group">
+                        <h2>⏳ Daily Limits</h2>
+                        <p>
+                            Get a notification at 80% of a daily limit and block
+                            the site once it is used up. Limits reset at
+                            midnight.
+                        </p>
+
+                        <div className="add-category">
+                            <select
+                                value={newLimit.type}
+                                onChange={(e) =>
+                                    changeLimitType(e.target.value)
+                                }
+                                className="category-select"
+                            >
+                                <option value={LIMIT_TYPES.DOMAIN}>Site</option>
+                                <option value={LIMIT_TYPES.CATEGORY}>
+                                    Category
+                                </option>
+                            </select>
+                            {newLimit.type === LIMIT_TYPES.DOMAIN ? (
+                                <input
+                                    type="text"
+                                    placeholder="example.com"
+                                    value={newLimit.target}
+                                    onChange={(e) =>
+                                        setNewLimit({
+                                            ...newLimit,
+                                            target: e.target.value,
+                                        })
+                                    }
+                                    className="category-input"
+                                />
+                            ) : (
+                                <select
+                                    value={newLimit.target}
+                                    onChange={(e) =>
+                                        setNewLimit({
+                                            ...newLimit,
+                                            target: e.target.value,
+                                        })
+                                    }
+                                    className="category-select"
+                                >
+                                    {taxonomy.map((cat) => (
+                                        <option key={cat.id} value={cat.id}>
+                                            {cat.icon} {cat.name}
+                                        </option>
+                                    ))}
+                                </select>
+                            )}
+                            <input
+                                type="number"
+                                min={1}
+                                title="Minutes per day"
+                                value={newLimit.minutes}
+                                onChange={(e) =>
+                                    setNewLimit({
+                                        ...newLimit,
+                                        minutes: e.target.value,
+                                    })
+                                }
+                                className="priority-input"
+                            />
+                            <button onClick={addLimit} className="btn-primary">
+                                Add
+                            </button>
+                        </div>
+
+                        <div className="domain-list">
+                            {limits.map((limit) => (
+                                <div key={limit.id} className="domain-item">
+                                    <span className="rule-type">
+                                        {limit.source === "dashboard"
+                                            ? "dashboard"
+                                            : limit.type}
+                                    </span>
+                                    <span>{describeLimitTarget(limit)}</span>
+                                    <span className="limit-usage">
+                                        {`${Math.round(
+                                            (limitUsage[limit.id] || 0) / 60000
+                                        )} / ${limit.minutes} min today`}
+                                    </span>
+                                    {limit.source !== "dashboard" && (
+                                        <button
+                                            onClick={() => removeLimit(limit)}
+                                            className="btn-remove"
+                                        >
+                                            ×
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+
+                        {limits.length === 0 && (
+                            <div className="empty-state">
+                                <p>No daily limits yet.</p>
+                            </div>
+                        )}
+
+                        <div className="setting-item">
+                            <label className="setting-label">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.syncDashboardLimits}
+                                    onChange={(e) =>
+                                        updateSetting(
+                                            "syncDashboardLimits",
+                                            e.target.checked
+                                        )
+                                    }
+                                />
+                                <div className="setting-info">
+                                    <span className="setting-title">
+                                        Sync from Dashboard
+                                    </span>
+                                    <span className="setting-desc">
+                                        Use the website limits from the web
+                                        dashboard&apos;s settings, checked every
+                                        hour. Limits set here win.
+                                    </span>
+                                </div>
+                            </label>
+                        </div>
+                        {settings.syncDashboardLimits && (
+                            <button
+                                onClick={syncLimitsNow}
+                                className="btn-secondary"
+                                disabled={syncingLimits}
+                            >
+                                {syncingLimits ? "Syncing..." : "Sync now"}
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="settings-group">
+                        <h2>🚫 Excluded Sites</h2>
+                        <p>
+                            Enter domains to exclude from tracking (one per
+                            line)
+                        </p>
+                        <textarea
+                            value={excludeText}
+                            onChange={(e) => setExcludeText(e.target.value)}
+                            rows={6}
+                            className="exclude-textarea"
+                            placeholder="example.com&#10;private-site.org&#10;work-internal.com"
+                        />
+                        <button
+                            onClick={saveExcludeList}
+                            className="btn-primary"
+                        >
+                            Save Exclude List
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {activeTab === "categories" && (
+                <div className="tab-content">
+                    <div className="settings-group">
+                        <h2>🗂️ Categories</h2>
+                        <p>
+                            Create your own categories and choose how time in
+                            each one counts towards your productivity score
+                        </p>
+
+                        <div className="add-category">
+                            <input
+                                type="text"
+                                value={newCategory.icon}
+                                onChange={(e) =>
+                                    setNewCategory({
+                                        ...newCategory,
+                                        icon: e.target.value,
+                                    })
+                                }
+                                className="icon-input"
+                                title="Icon"
+                            />
+                            <input
+                                type="text"
+                                placeholder="Category name, e.g. Research"
+                                value={newCategory.name}
+                                onChange={(e) =>
+                                    setNewCategory({
+                                        ...newCategory,
+                                        name: e.target.value,
+                                    })
+                                }
+                                className="category-input"
+                            />
+                            <input
+                                type="color"
+                                value={newCategory.color}
+                                onChange={(e) =>
+                                    setNewCategory({
+                                        ...newCategory,
+                                        color: e.target.value,
+                                    })
+                                }
+                                className="color-input"
+                                title="Color"
+                            />
+                            <select
+                                value={newCategory.weight}
+                                onChange={(e) =>
+                                    setNewCategory({
+                                        ...newCategory,
+                                        weight: e.target.value,
+                                    })
+                                }
+                                className="category-select"
+                            >
+                                {Object.entries(WEIGHT_LABELS).map(
+                                    ([weight, label]) => (
+                                        <option key={weight} value={weight}>
+                                            {label}
+                                        </option>
+                                    )
+                                )}
+                            </select>
+                            <button
+                                onClick={addCategory}
+                                className="btn-primary"
+                            >
+                                Add
+                            </button>
+                        </div>
+
+                        <div className="taxonomy-list">
+                            {taxonomy.map((category) => (
+                                <div
+                                    key={category.id}
+                                    className="taxonomy-item"
+                                >
+                                    <input
+                                        type="text"
+                                        defaultValue={category.icon}
+                                        key={`icon-${category.icon}`}
+                                        onBlur={(e) =>
+                                            e.target.value !== category.icon &&
+                                            updateCategory(category.id, {
+                                                icon: e.target.value,
+                                            })
+                                        }
+                                        className="icon-input"
+                                        title="Icon"
+                                    />
+                                    <input
+                                        type="text"
+                                        defaultValue={category.name}
+                                        key={`name-${category.name}`}
+                                        onBlur={(e) =>
+                                            e.target.value !== category.name &&
+                                            updateCategory(category.id, {
+                                                name: e.target.value,
+                                            })
+                                        }
+                                        className="category-input"
+                                    />
+                                    <input
+                                        type="color"
+                                        value={category.color}
+                                        onChange={(e) =>
+                                            updateCategory(category.id, {
+                                                color: e.target.value,
+                                            })
+                                        }
+                                        className="color-input"
+                                        title="Color"
+                                    />
+                                    <select
+                                        value={category.weight}
+                                        onChange={(e) =>
+                                            updateCategory(category.id, {
+                                                weight: e.target.value,
+                                            })
+                                        }
+                                        className="category-select"
+                                    >
+                                        {Object.entries(WEIGHT_LABELS).map(
+                                            ([weight, label]) => (
+                                                <option
+                                                    key={weight}
+                                                    value={weight}
+                                                >
+                                                    {label}
+                                                </option>
+                                            )
+                                        )}
+                                    </select>
+                                    {!category.builtIn && (
+                                        <button
+                                            onClick={() =>
+                                                setDeletingCategory({
+                                                    id: category.id,
+                                                    replacement:
+                                                        CATEGORIES.OTHER,
+                                                })
+                                            }
+                                            className="btn-remove"
+                                            title="Delete category"
+                                        >
+                                            ×
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+
+                        {deletingCategory && (
+                            <div className="delete-category">
+                                <span>
+                                    Delete{" "}
+                                    {getCategoryDisplayName(
+                                        deletingCategory.id,
+                                        taxonomy
+                                    )}{" "}
+                                    and move its rules and history to
+                                </span>
+                                <select
+                                    value={deletingCategory.replacement}
+                                    onChange={(e) =>
+                                        setDeletingCategory({
+                                            ...deletingCategory,
+                                            replacement: e.target.value,
+                                        })
+                                    }
+                                    className="category-select"
+                                >
+                                    {taxonomy
+                                        .filter(
+                                            (cat) =>
+                                                cat.id !== deletingCategory.id
+                                        )
+                                        .map((cat) => (
+                                            <option key={cat.id} value={cat.id}>
+                                                {cat.icon} {cat.name}
+                                            </option>
+                                        ))}
+                                </select>
+                                <button
+                                    onClick={deleteCategory}
+                                    className="btn-danger"
+                                >
+                                    Delete
+                                </button>
+                                <button
+                                    onClick={() => setDeletingCategory(null)}
+                                    className="btn-secondary"
+                                >
+                                    Cancel
+                                </button>
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="settings-group">
+                        <h2>🏷️ Custom Site Categories</h2>
+                        <p>
+                            Customize how websites are categorized for better
+                            insights. When several rules match, the highest
+                            priority wins, then the most specific match type.
+                        </p>
+
+                        <div className="add-category">
+                            <select
+                                value={newRuleType}
+                                onChange={(e) => setNewRuleType(e.target.value)}
+                                className="category-select"
+                            >
+                                <option value={RULE_TYPES.SUFFIX}>
+                                    Domain and subdomains
+                                </option>
+                                <option value={RULE_TYPES.EXACT}>
+                                    Exact host
+                                </option>
+                                <option value={RULE_TYPES.PATH}>
+                                    URL path
+                                </option>
+                                <option value={RULE_TYPES.REGEX}>Regex</option>
+                            </select>
+                            <input
+                                type="text"
+                                placeholder={RULE_PLACEHOLDERS[newRuleType]}
+                                value={newSiteUrl}
+                                onChange={(e) => setNewSiteUrl(e.target.value)}
+                                className="category-input"
+                            />
                             <select
                                 value={newSiteCategory}
                                 onChange={(e) =>
@@ -398,15 +1644,23 @@ export default function Options() {
                                 }
                                 className="category-select"
                             >
-                                {Object.values(CATEGORIES).map((cat) => (
-                                    <option key={cat} value={cat}>
-                                        {cat.charAt(0).toUpperCase() +
-                                            cat.slice(1)}
+                                {taxonomy.map((cat) => (
+                                    <option key={cat.id} value={cat.id}>
+                                        {cat.icon} {cat.name}
                                     </option>
                                 ))}
                             </select>
+                            <input
+                                type="number"
+                                title="Priority"
+                                value={newRulePriority}
+                                onChange={(e) =>
+                                    setNewRulePriority(e.target.value)
+                                }
+                                className="priority-input"
+                            />
                             <button
-                                onClick={addSiteCategory}
+                                onClick={addCategoryRule}
                                 className="btn-primary"
                             >
                                 Add
@@ -414,28 +1668,33 @@ export default function Options() {
                         </div>
 
                         <div className="category-list">
-                            {Object.entries(userCategories).map(
-                                ([category, domains]) => (
+                            {groupRulesByCategory(userRules).map(
+                                ([category, rules]) => (
                                     <div
                                         key={category}
                                         className="category-section"
                                     >
                                         <h3 className="category-title">
-                                            {category.charAt(0).toUpperCase() +
-                                                category.slice(1)}
+                                            {getCategoryDisplayName(
+                                                category,
+                                                taxonomy
+                                            )}
                                         </h3>
                                         <div className="domain-list">
-                                            {domains.map((domain) => (
+                                            {rules.map((rule) => (
                                                 <div
-                                                    key={domain}
+                                                    key={rule.id}
                                                     className="domain-item"
+                                                    title={`Priority ${rule.priority}`}
                                                 >
-                                                    <span>{domain}</span>
+                                                    <span className="rule-type">
+                                                        {rule.type}
+                                                    </span>
+                                                    <span>{rule.pattern}</span>
                                                     <button
                                                         onClick={() =>
-                                                            removeSiteCategory(
-                                                                category,
-                                                                domain
+                                                            removeCategoryRule(
+                                                                rule
                                                             )
                                                         }
                                                         className="btn-remove"
@@ -450,7 +1709,7 @@ export default function Options() {
                             )}
                         </div>
 
-                        {Object.keys(userCategories).length === 0 && (
+                        {userRules.length === 0 && (
                             <div className="empty-state">
                                 <p>
                                     No custom categories defined yet. Add
@@ -459,6 +1718,311 @@ export default function Options() {
                             </div>
                         )}
                     </div>
+
+                    <div className="settings-group">
+                        <h2>📦 Category Packs</h2>
+                        <p>
+                            Share your rules as a file, or import a pack someone
+                            shared with you. Nothing changes until you apply the
+                            import.
+                        </p>
+
+                        <div className="add-category">
+                            <input
+                                type="text"
+                                placeholder="Pack name, e.g. Acme internal tools"
+                                value={packName}
+                                onChange={(e) => setPackName(e.target.value)}
+                                className="category-input"
+                            />
+                            <button
+                                onClick={exportCategoryPack}
+                                className="btn-secondary"
+                                disabled={userRules.length === 0}
+                            >
+                                Export Pack
+                            </button>
+                            <label className="btn-secondary file-button">
+                                Import Pack
+                                <input
+                                    type="file"
+                                    accept=".json,application/json"
+                                    onChange={importCategoryPack}
+                                    hidden
+                                />
+                            </label>
+                        </div>
+
+                        {packImport && (
+                            <div className="pack-preview">
+                                <h3>{packImport.plan.name}</h3>
+                                <ul>
+                                    <li>
+                                        {packImport.plan.additions.length} new
+                                        rule(s)
+                                    </li>
+                                    {packImport.plan.categories.length > 0 && (
+                                        <li>
+                                            New categories:{" "}
+                                            {packImport.plan.categories
+                                                .map(
+                                                    (category) => category.name
+                                                )
+                                                .join(", ")}
+                                        </li>
+                                    )}
+                                    {packImport.plan.duplicates > 0 && (
+                                        <li>
+                                            {packImport.plan.duplicates} rule(s)
+                                            you already have
+                                        </li>
+                                    )}
+                                    {packImport.plan.skipped.length > 0 && (
+                                        <li
+                                            title={packImport.plan.skipped
+                                                .map(
+                                                    ({ rule, error }) =>
+                                                        `${rule.pattern}: ${error}`
+                                                )
+                                                .join("\n")}
+                                        >
+                                            {packImport.plan.skipped.length}{" "}
+                                            rule(s) skipped as invalid
+                                        </li>
+                                    )}
+                                </ul>
+
+                                {packImport.plan.conflicts.length > 0 && (
+                                    <>
+                                        <h4>Conflicts with your rules</h4>
+                                        <div className="suggestion-list">
+                                            {packImport.plan.conflicts.map(
+                                                ({
+                                                    key,
+                                                    existing,
+                                                    incoming,
+                                                }) => (
+                                                    <div
+                                                        key={key}
+                                                        className="suggestion-item"
+                                                    >
+                                                        <span className="rule-type">
+                                                            {incoming.type}
+                                                        </span>
+                                                        <span className="suggestion-domain">
+                                                            {incoming.pattern}
+                                                        </span>
+                                                        <select
+                                                            value={
+                                                                packImport
+                                                                    .resolutions[
+                                                                    key
+                                                                ]
+                                                            }
+                                                            onChange={(e) =>
+                                                                resolveConflict(
+                                                                    key,
+                                                                    e.target
+                                                                        .value
+                                                                )
+                                                            }
+                                                            className="category-select"
+                                                        >
+                                                            <option
+                                                                value={
+                                                                    CONFLICT_RESOLUTIONS.KEEP_MINE
+                                                                }
+                                                            >
+                                                                Keep mine:{" "}
+                                                                {getCategoryDisplayName(
+                                                                    existing.category,
+                                                                    taxonomy
+                                                                )}
+                                                            </option>
+                                                            <option
+                                                                value={
+                                                                    CONFLICT_RESOLUTIONS.USE_PACK
+                                                                }
+                                                            >
+                                                                Use pack:{" "}
+                                                                {getCategoryDisplayName(
+                                                                    incoming.category,
+                                                                    packTaxonomy
+                                                                )}
+                                                            </option>
+                                                        </select>
+                                                    </div>
+                                                )
+                                            )}
+                                        </div>
+                                    </>
+                                )}
+
+                                <h4>Sites in your history that would change</h4>
+                                {!packImport.changes && (
+                                    <p>Checking your history…</p>
+                                )}
+                                {packImport.changes?.length === 0 && (
+                                    <p>No recorded sites change category.</p>
+                                )}
+                                {packImport.changes?.length > 0 && (
+                                    <ul className="history-changes">
+                                        {packImport.changes.map((change) => (
+                                            <li
+                                                key={`${change.domain}|${change.from}|${change.to}`}
+                                            >
+                                                <strong>{change.domain}</strong>
+                                                :{" "}
+                                                {getCategoryDisplayName(
+                                                    change.from,
+                                                    taxonomy
+                                                )}{" "}
+                                                →{" "}
+                                                {getCategoryDisplayName(
+                                                    change.to,
+                                                    packTaxonomy
+                                                )}{" "}
+                                                ({change.visits} visit(s))
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+
+                                <div className="data-actions">
+                                    <button
+                                        onClick={confirmPackImport}
+                                        className="btn-primary"
+                                    >
+                                        Apply Import
+                                    </button>
+                                    <button
+                                        onClick={() => setPackImport(null)}
+                                        className="btn-secondary"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+
+                    {suggestions.length > 0 && (
+                        <div className="settings-group">
+                            <h2>💡 Suggested Categorizations</h2>
+                            <p>
+                                Based on sites you have categorized before.
+                                Accepting adds a rule for each selected site.
+                            </p>
+
+                            <div className="suggestion-list">
+                                {suggestions.map((suggestion) => (
+                                    <label
+                                        key={suggestion.domain}
+                                        className="suggestion-item"
+                                        title={suggestion.reason}
+                                    >
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedSuggestions.includes(
+                                                suggestion.domain
+                                            )}
+                                            onChange={() =>
+                                                toggleSuggestion(
+                                                    suggestion.domain
+                                                )
+                                            }
+                                        />
+                                        <span className="suggestion-domain">
+                                            {suggestion.domain}
+                                        </span>
+                                        <span>
+                                            {getCategoryDisplayName(
+                                                suggestion.currentCategory,
+                                                taxonomy
+                                            )}{" "}
+                                            →{" "}
+                                            <strong>
+                                                {getCategoryDisplayName(
+                                                    suggestion.category,
+                                                    taxonomy
+                                                )}
+                                            </strong>
+                                        </span>
+                                        <span className="suggestion-reason">
+                                            {suggestion.reason}
+                                        </span>
+                                    </label>
+                                ))}
+                            </div>
+
+                            <div className="data-actions">
+                                <button
+                                    onClick={() => resolveSuggestions(true)}
+                                    className="btn-primary"
+                                    disabled={selectedSuggestions.length === 0}
+                                >
+                                    Accept Selected (
+                                    {selectedSuggestions.length})
+                                </button>
+                                <button
+                                    onClick={() => resolveSuggestions(false)}
+                                    className="btn-secondary"
+                                    disabled={selectedSuggestions.length === 0}
+                                >
+                                    Dismiss Selected
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="settings-group">
+                        <h2>🔍 Test a URL</h2>
+                        <p>See which category a page gets, and why</p>
+
+                        <div className="add-category">
+                            <input
+                                type="text"
+                                placeholder="https://www.youtube.com/watch?v=..."
+                                value={testUrl}
+                                onChange={(e) => setTestUrl(e.target.value)}
+                                className="category-input"
+                            />
+                            <button
+                                onClick={testCategoryRules}
+                                className="btn-secondary"
+                            >
+                                Test
+                            </button>
+                        </div>
+
+                        {testResult && (
+                            <div className="rule-trace">
+                                <strong>
+                                    {getCategoryDisplayName(
+                                        testResult.category,
+                                        taxonomy
+                                    )}
+                                </strong>{" "}
+                                — {testResult.reason}
+                                {testResult.matches.length > 1 && (
+                                    <ul>
+                                        {testResult.matches
+                                            .slice(1)
+                                            .map((rule) => (
+                                                <li key={rule.id}>
+                                                    Also matched{" "}
+                                                    {describeRule(rule)} →{" "}
+                                                    {getCategoryDisplayName(
+                                                        rule.category,
+                                                        taxonomy
+                                                    )}
+                                                </li>
+                                            ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+                    </div>
                 </div>
             )}
 
@@ -496,6 +2060,84 @@ export default function Options() {
                             </div>
                         </div>
 
+                        <div className="setting-item">
+                            <label className="setting-label">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.privacyMode}
+                                    onChange={(e) =>
+                                        updateSetting(
+                                            "privacyMode",
+                                            e.target.checked
+                                        )
+                                    }
+                                />
+                                <div className="setting-info">
+                                    <span className="setting-title">
+                                        Privacy Mode
+                                    </span>
+                                    <span className="setting-desc">
+                                        Upload only the site, its category and
+                                        how long you spent there. Full URLs,
+                                        titles and page text stay on this device
+                                        and are analyzed locally
+                                    </span>
+                                </div>
+                            </label>
+                        </div>
+
+                        <div className="setting-item">
+                            <label className="setting-label">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.hashDomains}
+                                    disabled={!settings.privacyMode}
+                                    onChange={(e) =>
+                                        updateSetting(
+                                            "hashDomains",
+                                            e.target.checked
+                                        )
+                                    }
+                                />
+                                <div className="setting-info">
+                                    <span className="setting-title">
+                                        Hide Domains
+                                    </span>
+                                    <span className="setting-desc">
+                                        In privacy mode, upload a salted hash
+                                        instead of the domain. The dashboard can
+                                        still group your time by site without
+                                        knowing which site it is
+                                    </span>
+                                </div>
+                            </label>
+                        </div>
+
+                        {uploadPreview && (
+                            <div className="upload-preview">
+                                <h3>What gets uploaded</h3>
+                                <p>
+                                    {uploadPreview.example
+                                        ? "For an example visit"
+                                        : "For your latest visit today"}
+                                    , each tracking upload looks like this
+                                    {settings.privacyMode
+                                        ? ". Nothing else is sent."
+                                        : "."}
+                                    {authStatus && !authStatus.signedIn
+                                        ? " Nothing is uploaded until you sign in."
+                                        : ""}
+                                </p>
+                                <pre>
+                                    {JSON.stringify(
+                                        uploadPreview.payload,
+                                        null,
+                                        2
+                                    )}
+                                </pre>
+                            </div>
+                        )}
+
                         <div className="data-actions">
                             <button
                                 onClick={exportData}
@@ -517,6 +2159,238 @@ export default function Options() {
                             </button>
                         </div>
                     </div>
+
+                    <div className="settings-group">
+                        <h2>📄 Page Content</h2>
+                        <p>
+                            Choose what is done on each kind of site. &quot;Time
+                            only&quot; tracks time without ever reading the
+                            page; &quot;Ignore&quot; leaves the site out
+                            entirely. A site&apos;s own setting wins over its
+                            category&apos;s.
+                        </p>
+
+                        <div className="domain-list">
+                            {taxonomy.map((cat) => (
+                                <div key={cat.id} className="domain-item">
+                                    <span>
+                                        {cat.icon} {cat.name}
+                                    </span>
+                                    <select
+                                        value={
+                                            settings.contentPolicies.categories[
+                                                cat.id
+                                            ] || CONTENT_POLICIES.FULL
+                                        }
+                                        onChange={(e) =>
+                                            setCategoryPolicy(
+                                                cat.id,
+                                                e.target.value
+                                            )
+                                        }
+                                        className="category-select"
+                                    >
+                                        {Object.values(CONTENT_POLICIES).map(
+                                            (policy) => (
+                                                <option
+                                                    key={policy}
+                                                    value={policy}
+                                                >
+                                                    {
+                                                        CONTENT_POLICY_LABELS[
+                                                            policy
+                                                        ]
+                                                    }
+                                                </option>
+                                            )
+                                        )}
+                                    </select>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="add-category">
+                            <input
+                                type="text"
+                                placeholder="bank.example.com"
+                                value={newPolicyDomain}
+                                onChange={(e) =>
+                                    setNewPolicyDomain(e.target.value)
+                                }
+                                className="category-input"
+                            />
+                            <select
+                                value={newPolicy}
+                                onChange={(e) => setNewPolicy(e.target.value)}
+                                className="category-select"
+                            >
+                                {Object.values(CONTENT_POLICIES).map(
+                                    (policy) => (
+                                        <option key={policy} value={policy}>
+                                            {CONTENT_POLICY_LABELS[policy]}
+                                        </option>
+                                    ))}
+                            </select>
+                            <button
+                                onClick={addDomainPolicy}
+                                className="btn-primary"
+                            >
+                                Add Site
+                            </button>
+                        </div>
+
+                        <div className="domain-list">
+                            {Object.entries(domainPolicies).map(
+                                ([domain, policy]) => (
+                                    <div key={domain} className="domain-item">
+                                        <span>{domain}</span>
+                                        <span className="rule-type">
+                                            {CONTENT_POLICY_LABELS[policy]}
+                                        </span>
+                                        <button
+                                            onClick={() =>
+                                                removeDomainPolicy(domain)
+                                            }
+                                            className="btn-remove"
+                                        >
+                                            ×
+                                        </button>
+                                    </div>
+                                )
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {activeTab === "account" && (
+                <div className="tab-content">
+                    <div className="settings-group">
+                        <h2>🌐 Backend</h2>
+                        <p>
+                            Tracking data is uploaded to this API. Leave it
+                            empty to use the default.
+                        </p>
+
+                        <div className="account-form">
+                            <input
+                                type="url"
+                                placeholder="https://example.com/api/v1"
+                                value={apiBaseUrl}
+                                onChange={(e) => setApiBaseUrl(e.target.value)}
+                                className="account-input"
+                            />
+                            <button
+                                onClick={saveApiBaseUrl}
+                                className="btn-primary"
+                            >
+                                Save
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="settings-group">
+                        <h2>🔑 Sign In</h2>
+
+                        <p className="account-status">
+                            {describeAuthStatus(authStatus)}
+                        </p>
+
+                        {authStatus?.signedIn ? (
+                            <button onClick={signOut} className="btn-secondary">
+                                Sign Out
+                            </button>
+                        ) : (
+                            <form className="account-form" onSubmit={signIn}>
+                                <input
+                                    type="email"
+                                    placeholder="Email"
+                                    autoComplete="username"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    className="account-input"
+                                />
+                                <input
+                                    type="password"
+                                    placeholder="Password"
+                                    autoComplete="current-password"
+                                    value={password}
+                                    onChange={(e) =>
+                                        setPassword(e.target.value)
+                                    }
+                                    className="account-input"
+                                />
+                                <button
+                                    type="submit"
+                                    className="btn-primary"
+                                    disabled={
+                                        signingIn ||
+                                        authStatus?.signInConfigured === false
+                                    }
+                                >
+                                    {signingIn ? "Signing In..." : "Sign In"}
+                                </button>
+                            </form>
+                        )}
+
+                        {authStatus?.signInConfigured === false && (
+                            <p className="setting-desc">
+                                Sign-in needs VITE_SUPABASE_URL and
+                                VITE_SUPABASE_ANON_KEY in the extension&apos;s
+                                .env file.
+                            </p>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {activeTab === "debug" && (
+                <div className="tab-content">
+                    <div className="settings-group">
+                        <h2>🧽 Personal Data Redactions</h2>
+                        <p>
+                            Emails, phone numbers, card numbers, IBANs,
+                            government IDs and addresses are removed from page
+                            text and titles before they are analyzed, stored or
+                            uploaded. Pages where something was removed:
+                        </p>
+
+                        {redactionLog.length === 0 ? (
+                            <div className="empty-state">
+                                <p>Nothing has been redacted yet.</p>
+                            </div>
+                        ) : (
+                            <div className="suggestion-list">
+                                {redactionLog.map((entry) => (
+                                    <div
+                                        key={entry.page}
+                                        className="redaction-item"
+                                    >
+                                        <span className="suggestion-domain">
+                                            {entry.page}
+                                        </span>
+                                        <span>
+                                            {describeRedactions(entry.counts)}
+                                        </span>
+                                        <span className="suggestion-reason">
+                                            {new Date(
+                                                entry.at
+                                            ).toLocaleString()}
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        <div className="data-actions">
+                            <button
+                                onClick={refreshRedactionLog}
+                                className="btn-secondary"
+                            >
+                                🔄 Refresh
+                            </button>
+                        </div>
+                    </div>
                 </div>
             )}
 
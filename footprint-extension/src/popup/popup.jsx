@@ -2,11 +2,32 @@
 /* global chrome */
 import React, { useEffect, useState } from "react";
 import "./popup-simple.css";
-import { formatDuration } from "../utils/analytics.js";
 import {
+    formatCountdown,
+    formatDuration,
+    formatTimeAgo,
+} from "../utils/analytics.js";
+import {
+    DEFAULT_TAXONOMY,
+    getCategoryColor,
     getCategoryDisplayName,
     getCategoryIcon,
+    loadTaxonomy,
+    onTaxonomyChanged,
 } from "../utils/categories.js";
+import {
+    DEFAULT_FOCUS_CATEGORIES,
+    FOCUS_DURATIONS,
+    isFocusActive,
+    onFocusChanged,
+} from "../utils/focusMode.js";
+import {
+    POMODORO_PHASES,
+    isPomodoroRunning,
+    onPomodoroChanged,
+} from "../utils/pomodoro.js";
+import { TIMED_PAUSES, formatScheduleTime } from "../utils/schedule.js";
+import { DEFAULT_SETTINGS, loadSettings } from "../utils/settings.js";
 
 function secToMin(seconds) {
     return Math.round(seconds / 60);
@@ -14,9 +35,39 @@ function secToMin(seconds) {
 
 const isChrome = typeof chrome !== "undefined" && !!chrome.runtime;
 
+// Where the last focus block's time went
+function BlockBreakdown({ block }) {
+    const share = (time) =>
+        block.totalTime > 0 ? `${(time / block.totalTime) * 100}%` : "0%";
+    return (
+        <div className="pomodoro-block">
+            <div className="pomodoro-bar">
+                <span
+                    className="pomodoro-productive"
+                    style={{ width: share(block.productiveTime) }}
+                />
+                <span
+                    className="pomodoro-neutral"
+                    style={{ width: share(block.neutralTime) }}
+                />
+                <span
+                    className="pomodoro-distracting"
+                    style={{ width: share(block.distractingTime) }}
+                />
+            </div>
+            <div className="focus-detail">
+                Last block: {formatDuration(block.productiveTime / 1000)}{" "}
+                productive · {formatDuration(block.distractingTime / 1000)}{" "}
+                distracting
+            </div>
+        </div>
+    );
+}
+
 const Popup = () => {
     const [totalTimeSeconds, setTotalTimeSeconds] = useState(0);
     const [paused, setPaused] = useState(false);
+    const [trackingStatus, setTrackingStatus] = useState(null); // schedule or manual
     const [topSites, setTopSites] = useState([]);
     const [currentSite, setCurrentSite] = useState({
         category: "other",
@@ -26,6 +77,33 @@ const Popup = () => {
     const [displayTime, setDisplayTime] = useState(0); // For real-time display
     const [sessionStartTime, setSessionStartTime] = useState(Date.now()); // When current session started
     const [pauseTime, setPauseTime] = useState(null); // When pause was clicked
+    const [idleTime, setIdleTime] = useState(0); // Seconds excluded as idle today
+    const [idleState, setIdleState] = useState("active");
+    const [taxonomy, setTaxonomy] = useState(DEFAULT_TAXONOMY);
+    const [categoryGuesses, setCategoryGuesses] = useState([]);
+    const [focus, setFocus] = useState(null);
+    const [focusBypasses, setFocusBypasses] = useState(0);
+    const [focusMinutes, setFocusMinutes] = useState(FOCUS_DURATIONS[0]);
+    const [focusCategories, setFocusCategories] = useState(
+        DEFAULT_FOCUS_CATEGORIES
+    );
+    const [focusDomains, setFocusDomains] = useState("");
+    const [focusError, setFocusError] = useState("");
+    const [pomodoro, setPomodoro] = useState(null);
+    const [lastBlock, setLastBlock] = useState(null);
+    const [workMinutes, setWorkMinutes] = useState(
+        DEFAULT_SETTINGS.pomodoroWorkMinutes
+    );
+    const [breakMinutes, setBreakMinutes] = useState(
+        DEFAULT_SETTINGS.pomodoroBreakMinutes
+    );
+    const [pomodoroError, setPomodoroError] = useState("");
+    const [now, setNow] = useState(Date.now());
+    const [syncStatus, setSyncStatus] = useState({
+        queueDepth: 0,
+        lastSyncAt: null,
+        lastError: null,
+    });
 
     // Real-time timer effect
     useEffect(() => {
@@ -64,10 +142,79 @@ const Popup = () => {
         return () => clearInterval(timer);
     }, [paused, totalTimeSeconds, sessionStartTime, pauseTime, loading]);
 
+    // User-created categories and their icons
+    useEffect(() => {
+        if (!isChrome) return;
+        loadTaxonomy()
+            .then(setTaxonomy)
+            .catch((e) => console.warn("Failed to load categories:", e));
+        return onTaxonomyChanged(setTaxonomy);
+    }, []);
+
+    // Focus mode state, kept current while the popup is open
+    useEffect(() => {
+        if (!isChrome) return;
+        refreshFocus();
+        return onFocusChanged(() => refreshFocus());
+    }, []);
+
+    // Pomodoro timer, with the lengths used last time
+    useEffect(() => {
+        if (!isChrome) return;
+        loadSettings()
+            .then((settings) => {
+                setWorkMinutes(settings.pomodoroWorkMinutes);
+                setBreakMinutes(settings.pomodoroBreakMinutes);
+            })
+            .catch((e) => console.warn("Failed to load settings:", e));
+        refreshPomodoro();
+        return onPomodoroChanged((next) => {
+            setPomodoro(next);
+            if (next?.lastBlock) setLastBlock(next.lastBlock);
+        });
+    }, []);
+
+    // Tick the focus, pomodoro and timed pause countdowns
+    const pausedUntil = paused ? trackingStatus?.pausedUntil : null;
+    useEffect(() => {
+        if (
+            !isFocusActive(focus) &&
+            !isPomodoroRunning(pomodoro) &&
+            !pausedUntil
+        ) {
+            return;
+        }
+        setNow(Date.now());
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [focus, pomodoro, pausedUntil]);
+
+    // Categories guessed from page content, waiting for the user's review
+    useEffect(() => {
+        if (isChrome) refreshCategoryGuesses();
+    }, []);
+
     // Periodic stats refresh
     useEffect(() => {
+        const refreshSyncStatus = () => {
+            chrome.runtime.sendMessage({ type: "getSyncStatus" }, (resp) => {
+                if (chrome.runtime.lastError) {
+                    console.warn(
+                        "🚨 [POPUP] Error getting sync status:",
+                        chrome.runtime.lastError.message
+                    );
+                    return;
+                }
+                if (resp && typeof resp.queueDepth === "number") {
+                    setSyncStatus(resp);
+                }
+            });
+        };
+
         const refreshStats = () => {
             if (isChrome) {
+                refreshSyncStatus();
+                refreshTrackingStatus();
                 console.log("🔄 [POPUP] Refreshing stats...");
                 chrome.runtime.sendMessage(
                     { type: "getTodayStats" },
@@ -83,6 +230,8 @@ const Popup = () => {
                             console.log("✅ [POPUP] Stats refreshed:", resp);
                             setTotalTimeSeconds(resp.totalTime || 0);
                             setTopSites(resp.topSites || []);
+                            setIdleTime(resp.idleTime || 0);
+                            setIdleState(resp.idleState || "active");
                             const wasPaused = paused;
                             setPaused(resp.isPaused || false);
 
@@ -101,6 +250,7 @@ const Popup = () => {
             }
         };
 
+        if (isChrome) refreshSyncStatus();
         const interval = setInterval(refreshStats, 5000); // Refresh every 5 seconds
         return () => clearInterval(interval);
     }, []);
@@ -139,6 +289,7 @@ const Popup = () => {
                                         }`
                                     );
                                     setPaused(resp.paused);
+                                    setTrackingStatus(resp);
                                 } else {
                                     console.warn(
                                         "⚠️ [POPUP] getStatus response missing paused field:",
@@ -171,6 +322,26 @@ const Popup = () => {
                                         domain,
                                         category: "other", // Will be updated with actual category
                                     });
+                                    // The background applies the user's own
+                                    // category overrides
+                                    chrome.runtime.sendMessage(
+                                        {
+                                            type: "getSiteCategory",
+                                            url: tabs[0].url,
+                                        },
+                                        (resp) => {
+                                            if (
+                                                chrome.runtime.lastError ||
+                                                !resp?.category
+                                            )
+                                                return;
+                                            setCurrentSite({
+                                                domain,
+                                                category: resp.category,
+                                                reason: resp.reason,
+                                            });
+                                        }
+                                    );
                                 } catch {
                                     setCurrentSite({
                                         domain: "Unknown",
@@ -241,6 +412,12 @@ const Popup = () => {
                                     ? resp.isPaused
                                     : false
                             );
+                            setIdleTime(
+                                typeof resp.idleTime === "number"
+                                    ? resp.idleTime
+                                    : 0
+                            );
+                            setIdleState(resp.idleState || "active");
                         }
                     } else {
                         console.warn(
@@ -341,6 +518,7 @@ const Popup = () => {
                 );
                 // Background confirms the state change
                 setPaused(response.paused);
+                refreshTrackingStatus();
             } else if (response && response.error) {
                 console.error(
                     `🚨 [POPUP] ${action} returned error:`,
@@ -355,6 +533,152 @@ const Popup = () => {
             }
         });
     };
+
+    const pauseFor = (duration) => {
+        chrome.runtime.sendMessage(
+            { type: "pauseTracking", duration },
+            (resp) => {
+                if (chrome.runtime.lastError || !resp?.success) {
+                    console.warn(
+                        "🚨 [POPUP] Timed pause failed:",
+                        resp?.error || chrome.runtime.lastError?.message
+                    );
+                    return;
+                }
+                setPaused(true);
+                setPauseTime(Date.now());
+                refreshTrackingStatus();
+            }
+        );
+    };
+
+    const refreshTrackingStatus = () => {
+        chrome.runtime.sendMessage({ type: "getStatus" }, (resp) => {
+            if (chrome.runtime.lastError || !resp) return;
+            setTrackingStatus(resp);
+        });
+    };
+
+    const followSchedule = () => {
+        chrome.runtime.sendMessage({ type: "FOLLOW_SCHEDULE" }, (resp) => {
+            if (chrome.runtime.lastError || !resp) return;
+            setTrackingStatus(resp);
+            setPaused(resp.paused);
+            setSessionStartTime(Date.now());
+            setPauseTime(resp.paused ? Date.now() : null);
+        });
+    };
+
+    const refreshFocus = () => {
+        chrome.runtime.sendMessage({ type: "GET_FOCUS_STATE" }, (resp) => {
+            if (chrome.runtime.lastError || !resp) return;
+            setFocus(resp.focus);
+            setFocusBypasses(resp.bypasses?.length || 0);
+        });
+    };
+
+    const toggleFocusCategory = (id) => {
+        setFocusCategories(
+            focusCategories.includes(id)
+                ? focusCategories.filter((c) => c !== id)
+                : [...focusCategories, id]
+        );
+    };
+
+    const startFocus = () => {
+        setFocusError("");
+        chrome.runtime.sendMessage(
+            {
+                type: "START_FOCUS",
+                minutes: focusMinutes,
+                categories: focusCategories,
+                domains: focusDomains,
+            },
+            (resp) => {
+                if (chrome.runtime.lastError || !resp?.success) {
+                    setFocusError(resp?.error || "Could not start focus mode");
+                    return;
+                }
+                setFocus(resp.focus);
+                setNow(Date.now());
+            }
+        );
+    };
+
+    const stopFocus = () => {
+        chrome.runtime.sendMessage({ type: "STOP_FOCUS" }, (resp) => {
+            if (chrome.runtime.lastError || !resp?.success) return;
+            setFocus(null);
+        });
+    };
+
+    const refreshPomodoro = () => {
+        chrome.runtime.sendMessage({ type: "GET_POMODORO_STATE" }, (resp) => {
+            if (chrome.runtime.lastError || !resp) return;
+            setPomodoro(resp.pomodoro);
+            if (resp.pomodoro?.lastBlock) setLastBlock(resp.pomodoro.lastBlock);
+        });
+    };
+
+    const startPomodoro = () => {
+        setPomodoroError("");
+        chrome.runtime.sendMessage(
+            { type: "START_POMODORO", workMinutes, breakMinutes },
+            (resp) => {
+                if (chrome.runtime.lastError || !resp?.success) {
+                    setPomodoroError(
+                        resp?.error || "Could not start the timer"
+                    );
+                    return;
+                }
+                setPomodoro(resp.pomodoro);
+                setLastBlock(null);
+                setNow(Date.now());
+            }
+        );
+    };
+
+    const stopPomodoro = () => {
+        chrome.runtime.sendMessage({ type: "STOP_POMODORO" }, (resp) => {
+            if (chrome.runtime.lastError || !resp?.success) return;
+            setPomodoro(null);
+            if (resp.block) setLastBlock(resp.block);
+        });
+    };
+
+    const refreshCategoryGuesses = () => {
+        chrome.runtime.sendMessage({ type: "getCategoryGuesses" }, (resp) => {
+            if (chrome.runtime.lastError || !Array.isArray(resp?.guesses)) {
+                return;
+            }
+            setCategoryGuesses(resp.guesses);
+        });
+    };
+
+    const resolveCategoryGuess = (domain, accept) => {
+        chrome.runtime.sendMessage(
+            {
+                type: accept
+                    ? "CONFIRM_CATEGORY_GUESS"
+                    : "REJECT_CATEGORY_GUESS",
+                domain,
+            },
+            (resp) => {
+                if (chrome.runtime.lastError || !resp?.success) {
+                    console.warn(
+                        "⚠️ [POPUP] Failed to update category guess:",
+                        resp?.error || chrome.runtime.lastError
+                    );
+                    return;
+                }
+                if (!accept && currentSite.domain === domain) {
+                    setCurrentSite({ domain, category: "other" });
+                }
+                refreshCategoryGuesses();
+            }
+        );
+    };
+
     const openOptions = () => {
         if (!isChrome) {
             window.open("options/index.html", "_blank");
@@ -407,19 +731,35 @@ const Popup = () => {
                 <div className="logo">⏱️</div>
                 <h1>Time Tracker</h1>
                 <div className="status-indicator">
-                    {paused ? "⏸️ Paused" : "🟢 Active"}
+                    {paused
+                        ? "⏸️ Paused"
+                        : idleState !== "active"
+                        ? "💤 Idle"
+                        : "🟢 Active"}
                 </div>
             </header>
 
             <div className="current-site">
                 <div className="site-info">
                     <span className="site-icon">
-                        {getCategoryIcon(currentSite.category)}
+                        {getCategoryIcon(currentSite.category, taxonomy)}
                     </span>
                     <div>
                         <div className="site-domain">{currentSite.domain}</div>
-                        <div className="site-category">
-                            {getCategoryDisplayName(currentSite.category)}
+                        <div
+                            className="site-category"
+                            title={currentSite.reason}
+                            style={{
+                                color: getCategoryColor(
+                                    currentSite.category,
+                                    taxonomy
+                                ),
+                            }}
+                        >
+                            {getCategoryDisplayName(
+                                currentSite.category,
+                                taxonomy
+                            )}
                         </div>
                     </div>
                 </div>
@@ -436,17 +776,159 @@ const Popup = () => {
                     <div className="time-label">
                         Today's Total {paused ? "(Paused)" : "(Live)"}
                     </div>
+                    {idleTime > 0 && (
+                        <div className="idle-note">
+                            💤 {formatDuration(idleTime)} idle not counted
+                        </div>
+                    )}
                 </div>
             </div>
 
+            {isFocusActive(focus, now) ? (
+                <div className="focus-section focus-active">
+                    <div className="focus-header">
+                        <h3>🎯 Focus Mode</h3>
+                        <span className="focus-countdown">
+                            {formatCountdown((focus.endsAt - now) / 1000)}
+                        </span>
+                    </div>
+                    <div className="focus-detail">
+                        Blocking{" "}
+                        {[
+                            ...focus.categories.map((c) =>
+                                getCategoryDisplayName(c, taxonomy)
+                            ),
+                            ...focus.domains,
+                        ].join(", ")}
+                        {focusBypasses > 0 &&
+                            ` · ${focusBypasses} bypass${
+                                focusBypasses === 1 ? "" : "es"
+                            }`}
+                    </div>
+                    <button className="link" onClick={stopFocus}>
+                        End focus session
+                    </button>
+                </div>
+            ) : (
+                <div className="focus-section">
+                    <h3>🎯 Focus Mode</h3>
+                    <div className="focus-categories">
+                        {taxonomy.map((cat) => (
+                            <label key={cat.id} className="focus-chip">
+                                <input
+                                    type="checkbox"
+                                    checked={focusCategories.includes(cat.id)}
+                                    onChange={() => toggleFocusCategory(cat.id)}
+                                />
+                                {cat.icon} {cat.name}
+                            </label>
+                        ))}
+                    </div>
+                    <input
+                        type="text"
+                        className="focus-input"
+                        placeholder="Also block: reddit.com, x.com"
+                        value={focusDomains}
+                        onChange={(e) => setFocusDomains(e.target.value)}
+                    />
+                    <div className="focus-start">
+                        <select
+                            value={focusMinutes}
+                            onChange={(e) =>
+                                setFocusMinutes(Number(e.target.value))
+                            }
+                        >
+                            {FOCUS_DURATIONS.map((minutes) => (
+                                <option key={minutes} value={minutes}>
+                                    {minutes} min
+                                </option>
+                            ))}
+                        </select>
+                        <button className="primary" onClick={startFocus}>
+                            Start Focus
+                        </button>
+                    </div>
+                    {focusError && (
+                        <div className="focus-error">{focusError}</div>
+                    )}
+                </div>
+            )}
+
+            {isPomodoroRunning(pomodoro) ? (
+                <div className="focus-section focus-active">
+                    <div className="focus-header">
+                        <h3>
+                            {pomodoro.phase === POMODORO_PHASES.WORK
+                                ? "🍅 Focus Block"
+                                : "☕ Break"}
+                        </h3>
+                        <span className="focus-countdown">
+                            {formatCountdown((pomodoro.endsAt - now) / 1000)}
+                        </span>
+                    </div>
+                    <div className="focus-detail">
+                        {`${pomodoro.workMinutes} min work / ${
+                            pomodoro.breakMinutes
+                        } min break · ${pomodoro.blocks} block${
+                            pomodoro.blocks === 1 ? "" : "s"
+                        } done`}
+                    </div>
+                    {lastBlock && <BlockBreakdown block={lastBlock} />}
+                    <button className="link" onClick={stopPomodoro}>
+                        Stop timer
+                    </button>
+                </div>
+            ) : (
+                <div className="focus-section">
+                    <h3>🍅 Pomodoro</h3>
+                    <div className="focus-start">
+                        <label className="pomodoro-length">
+                            Work
+                            <input
+                                type="number"
+                                min={1}
+                                value={workMinutes}
+                                onChange={(e) =>
+                                    setWorkMinutes(Number(e.target.value))
+                                }
+                            />
+                        </label>
+                        <label className="pomodoro-length">
+                            Break
+                            <input
+                                type="number"
+                                min={1}
+                                value={breakMinutes}
+                                onChange={(e) =>
+                                    setBreakMinutes(Number(e.target.value))
+                                }
+                            />
+                        </label>
+                        <button className="primary" onClick={startPomodoro}>
+                            Start
+                        </button>
+                    </div>
+                    {lastBlock && <BlockBreakdown block={lastBlock} />}
+                    {pomodoroError && (
+                        <div className="focus-error">{pomodoroError}</div>
+                    )}
+                </div>
+            )}
+
             {topSites.length > 0 && (
                 <div className="top-sites-section">
                     <h3>🏆 Top Sites Today</h3>
                     <div className="sites-list">
                         {topSites.map((site, idx) => (
                             <div key={idx} className="site-item">
-                                <span className="site-icon">
-                                    {getCategoryIcon(site.category)}
+                                <span
+                                    className="site-icon"
+                                    title={getCategoryDisplayName(
+                                        site.category,
+                                        taxonomy
+                                    )}
+                                >
+                                    {getCategoryIcon(site.category, taxonomy)}
                                 </span>
                                 <div className="site-details">
                                     <div className="site-name">
@@ -462,6 +944,59 @@ const Popup = () => {
                 </div>
             )}
 
+            {categoryGuesses.length > 0 && (
+                <div className="top-sites-section">
+                    <h3>🤔 Category Guesses</h3>
+                    <div className="sites-list">
+                        {categoryGuesses.map((guess) => (
+                            <div
+                                key={guess.domain}
+                                className="site-item"
+                                title={`Based on: ${guess.terms.join(", ")}`}
+                            >
+                                <span className="site-icon">
+                                    {getCategoryIcon(guess.category, taxonomy)}
+                                </span>
+                                <div className="site-details">
+                                    <div className="site-name">
+                                        {guess.domain}
+                                    </div>
+                                    <div className="site-time">
+                                        {getCategoryDisplayName(
+                                            guess.category,
+                                            taxonomy
+                                        )}{" "}
+                                        · {Math.round(guess.confidence * 100)}%
+                                        sure
+                                    </div>
+                                </div>
+                                <button
+                                    className="link guess-action"
+                                    title="Confirm"
+                                    onClick={() =>
+                                        resolveCategoryGuess(guess.domain, true)
+                                    }
+                                >
+                                    ✓
+                                </button>
+                                <button
+                                    className="link guess-action"
+                                    title="Reject"
+                                    onClick={() =>
+                                        resolveCategoryGuess(
+                                            guess.domain,
+                                            false
+                                        )
+                                    }
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             <div className="controls">
                 <button
                     className="primary"
@@ -475,6 +1010,59 @@ const Popup = () => {
                         : "⏸️ Pause Tracking"}
                 </button>
 
+                {!loading && !paused && (
+                    <div className="pause-options">
+                        Pause for
+                        {TIMED_PAUSES.map((pause) => (
+                            <button
+                                key={pause.id}
+                                className="link"
+                                onClick={() => pauseFor(pause.id)}
+                            >
+                                {pause.label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {pausedUntil && (
+                    <div className="pause-countdown">
+                        Resumes in {formatCountdown((pausedUntil - now) / 1000)}
+                    </div>
+                )}
+
+                {trackingStatus?.scheduleEnabled && (
+                    <div className="schedule-status">
+                        {trackingStatus.source === "manual" ? (
+                            <>
+                                ✋ Manual override
+                                {trackingStatus.overrideUntil &&
+                                    ` until ${formatScheduleTime(
+                                        trackingStatus.overrideUntil
+                                    )}`}{" "}
+                                <button
+                                    className="link"
+                                    onClick={followSchedule}
+                                >
+                                    Follow schedule
+                                </button>
+                            </>
+                        ) : (
+                            <>
+                                🗓️ Following your schedule
+                                {trackingStatus.nextChange &&
+                                    ` · ${
+                                        trackingStatus.paused
+                                            ? "resumes"
+                                            : "pauses"
+                                    } ${formatScheduleTime(
+                                        trackingStatus.nextChange
+                                    )}`}
+                            </>
+                        )}
+                    </div>
+                )}
+
                 <div className="secondary-row">
                     <button className="link" onClick={openOptions}>
                         ⚙️ Settings
@@ -485,6 +1073,28 @@ const Popup = () => {
                 </div>
             </div>
 
+            {syncStatus.auth && !syncStatus.auth.signedIn && (
+                <button className="link auth-notice" onClick={openOptions}>
+                    {syncStatus.auth.expired
+                        ? "⚠️ Session expired - uploads paused. Sign in again"
+                        : "🔑 Not signed in - data stays on this device. Sign in"}
+                </button>
+            )}
+
+            <div
+                className="sync-status"
+                title={syncStatus.lastError || "Backend sync status"}
+            >
+                <span>
+                    {syncStatus.queueDepth > 0
+                        ? `☁️ ${syncStatus.queueDepth} upload${
+                              syncStatus.queueDepth === 1 ? "" : "s"
+                          } pending`
+                        : "☁️ All data synced"}
+                </span>
+                <span>Last sync: {formatTimeAgo(syncStatus.lastSyncAt)}</span>
+            </div>
+
             <footer className="pf-footer">
                 <small>Simple time tracking • Privacy-focused</small>
             </footer>
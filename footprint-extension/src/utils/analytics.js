@@ -1,4 +1,6 @@
 // Time tracking and analytics utilities
+import { CATEGORY_WEIGHTS, getCategoryWeight } from "./categories.js";
+
 export function formatDuration(seconds) {
     if (typeof seconds !== "number" || seconds < 0) return "0s";
 
@@ -20,6 +22,38 @@ export function formatDuration(seconds) {
     }
 }
 
+// Clock-style countdown such as "4:05" or "1:02:09"
+export function formatCountdown(seconds) {
+    const total = Math.max(0, Math.ceil(seconds));
+    const hours = Math.floor(total / 3600);
+    const mins = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, "0");
+    return hours > 0
+        ? `${hours}:${String(mins).padStart(2, "0")}:${secs}`
+        : `${mins}:${secs}`;
+}
+
+// Badge-sized duration such as "45m", "2.5h" or "11h"
+export function formatBadgeTime(seconds) {
+    const minutes = Math.floor(Math.max(0, seconds) / 60);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = minutes / 60;
+    return hours < 10
+        ? `${Math.floor(hours * 10) / 10}h`
+        : `${Math.floor(hours)}h`;
+}
+
+// Short relative time such as "just now", "5m ago" or "2d ago"
+export function formatTimeAgo(timestamp) {
+    if (!timestamp) return "never";
+
+    const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+    if (seconds < 60) return "just now";
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+}
+
 export function getTimeOfDay(timestamp) {
     const hour = new Date(timestamp).getHours();
     if (hour < 6) return "night";
@@ -65,6 +99,41 @@ export function calculateProductivityScore(sessions, userCategories = {}) {
     return totalTime > 0 ? Math.round((productiveTime / totalTime) * 100) : 0;
 }
 
+// Productive and distracting time from [{ category, time }], going by each
+// category's weight, with a 0-100 score: the productive share minus a
+// penalty for the distracting share, 50 when nothing was tracked
+export function summarizeProductivity(entries, taxonomy) {
+    let productiveTime = 0;
+    let distractingTime = 0;
+    let totalTime = 0;
+
+    entries.forEach(({ category, time }) => {
+        totalTime += time;
+        const weight = getCategoryWeight(category, taxonomy);
+        if (weight === CATEGORY_WEIGHTS.PRODUCTIVE) {
+            productiveTime += time;
+        } else if (weight === CATEGORY_WEIGHTS.DISTRACTING) {
+            distractingTime += time;
+        }
+    });
+
+    let score = 50;
+    if (totalTime > 0) {
+        score = Math.round(
+            (productiveTime / totalTime) * 100 -
+                (distractingTime / totalTime) * 30
+        );
+    }
+
+    return {
+        productiveTime,
+        distractingTime,
+        neutralTime: totalTime - productiveTime - distractingTime,
+        totalTime,
+        score: Math.max(0, Math.min(100, score)),
+    };
+}
+
 export function getTopSites(sessions, limit = 5) {
     const siteStats = {};
 
@@ -1,4 +1,7 @@
-// Website categorization utilities
+/* global chrome */
+// Website categorization utilities. The ten built-in categories can be
+// restyled, and users can add their own; the full list (the "taxonomy") is
+// stored under `categoryTaxonomy` in chrome.storage.local.
 export const CATEGORIES = {
     PRODUCTIVITY: "productivity",
     ENTERTAINMENT: "entertainment",
@@ -25,7 +28,47 @@ export const CATEGORY_COLORS = {
     [CATEGORIES.OTHER]: "#9E9E9E",
 };
 
-// Default category mappings based on domain patterns
+const CATEGORY_ICONS = {
+    [CATEGORIES.PRODUCTIVITY]: "💼",
+    [CATEGORIES.ENTERTAINMENT]: "🎬",
+    [CATEGORIES.SOCIAL]: "👥",
+    [CATEGORIES.NEWS]: "📰",
+    [CATEGORIES.SHOPPING]: "🛒",
+    [CATEGORIES.EDUCATION]: "📚",
+    [CATEGORIES.HEALTH]: "🏥",
+    [CATEGORIES.FINANCE]: "💰",
+    [CATEGORIES.WORK]: "💻",
+    [CATEGORIES.OTHER]: "🌐",
+};
+
+// How time in a category counts towards the productivity score
+export const CATEGORY_WEIGHTS = {
+    PRODUCTIVE: "productive",
+    NEUTRAL: "neutral",
+    DISTRACTING: "distracting",
+};
+
+const BUILT_IN_WEIGHTS = {
+    [CATEGORIES.PRODUCTIVITY]: CATEGORY_WEIGHTS.PRODUCTIVE,
+    [CATEGORIES.EDUCATION]: CATEGORY_WEIGHTS.PRODUCTIVE,
+    [CATEGORIES.WORK]: CATEGORY_WEIGHTS.PRODUCTIVE,
+    [CATEGORIES.ENTERTAINMENT]: CATEGORY_WEIGHTS.DISTRACTING,
+    [CATEGORIES.SOCIAL]: CATEGORY_WEIGHTS.DISTRACTING,
+};
+
+export const TAXONOMY_KEY = "categoryTaxonomy";
+
+export const DEFAULT_TAXONOMY = Object.values(CATEGORIES).map((id) => ({
+    id,
+    name: id.charAt(0).toUpperCase() + id.slice(1),
+    color: CATEGORY_COLORS[id],
+    icon: CATEGORY_ICONS[id],
+    weight: BUILT_IN_WEIGHTS[id] || CATEGORY_WEIGHTS.NEUTRAL,
+    builtIn: true,
+}));
+
+// Default category mappings based on domain patterns. These seed the rule
+// engine in categoryRules.js, which also holds rules that need a path.
 export const DEFAULT_CATEGORY_PATTERNS = {
     [CATEGORIES.PRODUCTIVITY]: [
         "github.com",
@@ -161,7 +204,6 @@ export const DEFAULT_CATEGORY_PATTERNS = {
         "vanguard.com",
         "coinbase.com",
         "binance.com",
-        "bloomberg.com",
     ],
     [CATEGORIES.WORK]: [
         "office.com",
@@ -175,59 +217,90 @@ export const DEFAULT_CATEGORY_PATTERNS = {
     ],
 };
 
-// Categorize a URL based on domain patterns and user settings
-export function categorizeUrl(url, userCategories = {}) {
-    try {
-        const domain = new URL(url).hostname.toLowerCase();
-
-        // Check user-defined categories first
-        for (const [category, patterns] of Object.entries(userCategories)) {
-            if (
-                patterns.some((pattern) =>
-                    domain.includes(pattern.toLowerCase())
-                )
-            ) {
-                return category;
-            }
-        }
-
-        // Check default patterns
-        for (const [category, patterns] of Object.entries(
-            DEFAULT_CATEGORY_PATTERNS
-        )) {
-            if (
-                patterns.some((pattern) =>
-                    domain.includes(pattern.toLowerCase())
-                )
-            ) {
-                return category;
-            }
-        }
-
-        return CATEGORIES.OTHER;
-    } catch {
-        return CATEGORIES.OTHER;
-    }
+// Look up a category, falling back to a neutral entry for unknown ids
+// (for example history from a category that no longer exists)
+export function findCategory(category, taxonomy = DEFAULT_TAXONOMY) {
+    const found = taxonomy.find((entry) => entry.id === category);
+    if (found) return found;
+    const id = category || CATEGORIES.OTHER;
+    return {
+        id,
+        name: id.charAt(0).toUpperCase() + id.slice(1),
+        color: CATEGORY_COLORS[CATEGORIES.OTHER],
+        icon: CATEGORY_ICONS[CATEGORIES.OTHER],
+        weight: CATEGORY_WEIGHTS.NEUTRAL,
+        builtIn: false,
+    };
 }
 
 // Get category display name
-export function getCategoryDisplayName(category) {
-    return category.charAt(0).toUpperCase() + category.slice(1);
+export function getCategoryDisplayName(category, taxonomy = DEFAULT_TAXONOMY) {
+    return findCategory(category, taxonomy).name;
 }
 
 // Get category icon
-export function getCategoryIcon(category) {
-    const icons = {
-        [CATEGORIES.PRODUCTIVITY]: "💼",
-        [CATEGORIES.ENTERTAINMENT]: "🎬",
-        [CATEGORIES.SOCIAL]: "👥",
-        [CATEGORIES.NEWS]: "📰",
-        [CATEGORIES.SHOPPING]: "🛒",
-        [CATEGORIES.EDUCATION]: "📚",
-        [CATEGORIES.HEALTH]: "🏥",
-        [CATEGORIES.FINANCE]: "💰",
-        [CATEGORIES.WORK]: "💻",
-        [CATEGORIES.OTHER]: "🌐",
+export function getCategoryIcon(category, taxonomy = DEFAULT_TAXONOMY) {
+    return findCategory(category, taxonomy).icon;
+}
+
+export function getCategoryColor(category, taxonomy = DEFAULT_TAXONOMY) {
+    return findCategory(category, taxonomy).color;
+}
+
+export function getCategoryWeight(category, taxonomy = DEFAULT_TAXONOMY) {
+    return findCategory(category, taxonomy).weight;
+}
+
+// Stable id for a new category, e.g. "Code Review" -> "code-review"
+export function slugifyCategoryName(name) {
+    return name
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+}
+
+// Returns an error message, or null when `category` can be saved
+export function validateCategory(category, taxonomy) {
+    const name = (category.name || "").trim();
+    if (!name) return "Enter a category name";
+    if (!category.id) return "Use letters or numbers in the name";
+    if (!Object.values(CATEGORY_WEIGHTS).includes(category.weight)) {
+        return "Choose a weight";
+    }
+    const clash = taxonomy.find(
+        (entry) =>
+            entry.id !== category.id &&
+            entry.name.toLowerCase() === name.toLowerCase()
+    );
+    if (clash) return `A category named "${clash.name}" already exists`;
+    return null;
+}
+
+// Stored taxonomy, with any built-in category it is missing added back
+export async function loadTaxonomy() {
+    const items = await chrome.storage.local.get([TAXONOMY_KEY]);
+    const stored = Array.isArray(items[TAXONOMY_KEY])
+        ? items[TAXONOMY_KEY]
+        : [];
+    const missing = DEFAULT_TAXONOMY.filter(
+        (builtIn) => !stored.some((entry) => entry.id === builtIn.id)
+    );
+    return [...stored, ...missing];
+}
+
+export async function saveTaxonomy(taxonomy) {
+    await chrome.storage.local.set({ [TAXONOMY_KEY]: taxonomy });
+    return taxonomy;
+}
+
+// Call `callback(taxonomy)` whenever the taxonomy changes. Returns a function
+// that removes the listener.
+export function onTaxonomyChanged(callback) {
+    const listener = (changes, areaName) => {
+        if (areaName !== "local" || !changes[TAXONOMY_KEY]) return;
+        loadTaxonomy().then(callback);
     };
-    return icons[category] || "🌐";
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
 }
@@ -0,0 +1,168 @@
+// Learning from the user's category corrections. Each correction is kept as
+// a labelled example with a few page features; unseen sites that look like
+// an example (same multi-tenant parent domain, same "docs."-style prefix,
+// similar title words and topics) get that example's category suggested.
+
+// Suggestions scoring below this are not shown
+export const SUGGESTION_THRESHOLD = 0.5;
+
+export const MAX_EXAMPLES = 200;
+
+const MAX_TOKENS = 20;
+
+const STOPWORDS = new Set([
+    "the",
+    "and",
+    "for",
+    "with",
+    "your",
+    "you",
+    "from",
+    "that",
+    "this",
+    "are",
+    "our",
+    "home",
+    "page",
+    "welcome",
+    "official",
+    "site",
+    "www",
+    "com",
+]);
+
+function tokenize(text) {
+    return (text || "")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length > 2 && !STOPWORDS.has(word));
+}
+
+// Features kept for a page: the words of its title and meta tags, plus the
+// topics extractTopics() found in its text
+export function extractPageFeatures(page) {
+    const tokens = [
+        ...new Set(
+            tokenize([page.title, page.description, page.keywords].join(" "))
+        ),
+    ].slice(0, MAX_TOKENS);
+    return { tokens, topics: (page.topics || []).slice(0, 3) };
+}
+
+// Common two-label public suffixes. Sites directly under one of these
+// (bbc.co.uk, amazon.co.uk) are unrelated registrations, not tenants.
+const MULTI_PART_SUFFIXES = new Set([
+    "co.uk",
+    "org.uk",
+    "ac.uk",
+    "gov.uk",
+    "me.uk",
+    "ltd.uk",
+    "plc.uk",
+    "co.jp",
+    "ne.jp",
+    "or.jp",
+    "ac.jp",
+    "go.jp",
+    "com.au",
+    "net.au",
+    "org.au",
+    "edu.au",
+    "gov.au",
+    "co.nz",
+    "org.nz",
+    "co.in",
+    "co.za",
+    "co.kr",
+    "co.il",
+    "com.br",
+    "com.cn",
+    "com.mx",
+    "com.ar",
+    "com.tr",
+    "com.sg",
+    "com.hk",
+    "com.tw",
+    "com.my",
+]);
+
+function hostLabels(domain) {
+    return domain
+        .toLowerCase()
+        .replace(/^www\./, "")
+        .split(".");
+}
+
+// Number of labels in the registrable domain ("bbc.co.uk" is 3)
+function registrableLength(labels) {
+    return MULTI_PART_SUFFIXES.has(labels.slice(-2).join(".")) ? 3 : 2;
+}
+
+function jaccard(a = [], b = []) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const setB = new Set(b);
+    const shared = a.filter((item) => setB.has(item)).length;
+    return shared / (a.length + b.length - shared);
+}
+
+// How alike two sites are, from 0 to 1, and the main reason
+export function siteSimilarity(example, candidate) {
+    const a = hostLabels(example.domain);
+    const b = hostLabels(candidate.domain);
+    let score = 0;
+    let reason = "similar page titles";
+
+    const parentLength = registrableLength(a);
+    if (a.length > parentLength && b.length > registrableLength(b)) {
+        const parent = a.slice(-parentLength).join(".");
+        if (parent === b.slice(-parentLength).join(".")) {
+            // Tenants of the same service, e.g. *.atlassian.net
+            score += 0.6;
+            reason = `also on ${parent}`;
+        } else if (a[0] === b[0]) {
+            // Same kind of subdomain, e.g. docs.*
+            score += 0.4;
+            reason = `also a ${a[0]}.* site`;
+        }
+    }
+
+    score +=
+        0.5 * jaccard(example.features?.tokens, candidate.features?.tokens);
+    score +=
+        0.2 * jaccard(example.features?.topics, candidate.features?.topics);
+
+    return { score: Math.min(1, Math.round(score * 100) / 100), reason };
+}
+
+// Best suggestion for each candidate site. `examples` are recorded
+// corrections; `candidates` are { domain, features, category } for sites
+// the user has not categorized, where `category` is their current one.
+export function suggestCategories(examples, candidates) {
+    const suggestions = [];
+
+    candidates.forEach((candidate) => {
+        let best = null;
+        examples.forEach((example) => {
+            if (example.domain === candidate.domain) return;
+            const { score, reason } = siteSimilarity(example, candidate);
+            if (
+                score >= SUGGESTION_THRESHOLD &&
+                (!best || score > best.score)
+            ) {
+                best = { example, score, reason };
+            }
+        });
+
+        if (best && best.example.category !== candidate.category) {
+            suggestions.push({
+                domain: candidate.domain,
+                category: best.example.category,
+                currentCategory: candidate.category,
+                score: best.score,
+                reason: `Like ${best.example.domain}: ${best.reason}`,
+            });
+        }
+    });
+
+    return suggestions.sort((a, b) => b.score - a.score);
+}
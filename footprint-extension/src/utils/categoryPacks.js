@@ -0,0 +1,193 @@
+// Shareable category packs: a JSON file holding category rules and the
+// custom categories they use, so a team can hand around one categorization
+// ("our internal tools are work") instead of everyone typing it in.
+//
+// Importing is split in two steps so Options can show a preview first:
+// planPackImport() sorts the pack's rules into additions, duplicates and
+// conflicts with the user's own rules, and applyPackImport() builds the new
+// rule list and taxonomy from that plan and the chosen resolutions.
+import { validateCategory } from "./categories.js";
+import {
+    USER_RULE_PRIORITY,
+    checkSharedRule,
+    createRuleId,
+    validateRule,
+} from "./categoryRules.js";
+
+export const PACK_FORMAT = "footprint-category-pack";
+export const PACK_VERSION = 1;
+
+// Imported rules rank below the user's own, whatever the pack says
+export const MAX_PACK_PRIORITY = USER_RULE_PRIORITY - 1;
+
+// How a conflict is settled
+export const CONFLICT_RESOLUTIONS = {
+    KEEP_MINE: "mine",
+    USE_PACK: "pack",
+};
+
+// Rules with the same type and pattern describe the same sites
+export function ruleKey(rule) {
+    return `${rule.type}:${rule.pattern.trim().toLowerCase()}`;
+}
+
+// Pack the user's rules, along with the custom categories they point at
+export function createCategoryPack(name, rules, taxonomy) {
+    const used = new Set(rules.map((rule) => rule.category));
+    return {
+        format: PACK_FORMAT,
+        version: PACK_VERSION,
+        name: name.trim() || "Category pack",
+        exportedAt: new Date().toISOString(),
+        categories: taxonomy
+            .filter((category) => !category.builtIn && used.has(category.id))
+            .map(({ id, name, color, icon, weight }) => ({
+                id,
+                name,
+                color,
+                icon,
+                weight,
+            })),
+        rules: rules.map(({ type, pattern, category, priority }) => ({
+            type,
+            pattern,
+            category,
+            priority,
+        })),
+    };
+}
+
+// Parse and check a pack file. Throws when the file is not a usable pack.
+export function parseCategoryPack(text) {
+    let pack;
+    try {
+        pack = JSON.parse(text);
+    } catch {
+        throw new Error("This file is not valid JSON");
+    }
+    if (pack?.format !== PACK_FORMAT || !Array.isArray(pack.rules)) {
+        throw new Error("This file is not a category pack");
+    }
+    if (pack.version > PACK_VERSION) {
+        throw new Error(
+            "This pack was made by a newer version of the extension"
+        );
+    }
+    return {
+        name: pack.name || "Category pack",
+        categories: Array.isArray(pack.categories) ? pack.categories : [],
+        rules: pack.rules,
+    };
+}
+
+// Work out what importing `pack` would do. Returns
+//   additions  - pack rules the user does not have yet
+//   conflicts  - { key, existing, incoming } where the user already has a
+//                rule for the same sites pointing at another category
+//   duplicates - number of pack rules the user already has
+//   skipped    - { rule, error } for pack rules that cannot be used,
+//                including risky regexes and rules matching every site
+//   categories - custom categories from the pack to add to the taxonomy
+export function planPackImport(pack, userRules, taxonomy) {
+    // Pack categories that match an existing one by id or name reuse it,
+    // keeping the user's own colors and icons
+    const categoryIds = {};
+    const categories = [];
+    pack.categories.forEach((category) => {
+        const existing = taxonomy.find(
+            (entry) =>
+                entry.id === category.id ||
+                entry.name.toLowerCase() ===
+                    String(category.name || "").toLowerCase()
+        );
+        if (existing) {
+            categoryIds[category.id] = existing.id;
+            return;
+        }
+        const added = {
+            ...category,
+            name: String(category.name || ""),
+            builtIn: false,
+        };
+        if (!validateCategory(added, [...taxonomy, ...categories])) {
+            categories.push(added);
+            categoryIds[category.id] = added.id;
+        }
+    });
+    const known = [...taxonomy, ...categories];
+
+    const existingByKey = new Map(
+        userRules.map((rule) => [ruleKey(rule), rule])
+    );
+    const seen = new Set();
+    const plan = {
+        name: pack.name,
+        additions: [],
+        conflicts: [],
+        duplicates: 0,
+        skipped: [],
+        categories,
+    };
+
+    pack.rules.forEach((packRule) => {
+        const rule = {
+            type: packRule.type,
+            pattern: String(packRule.pattern || "").trim(),
+            category: categoryIds[packRule.category] || packRule.category,
+            priority: Number.isFinite(packRule.priority)
+                ? Math.min(packRule.priority, MAX_PACK_PRIORITY)
+                : MAX_PACK_PRIORITY,
+        };
+
+        let error = validateRule(rule) || checkSharedRule(rule);
+        if (!error && !known.some((entry) => entry.id === rule.category)) {
+            error = `Unknown category "${rule.category}"`;
+        }
+        if (error) {
+            plan.skipped.push({ rule, error });
+            return;
+        }
+
+        const key = ruleKey(rule);
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const existing = existingByKey.get(key);
+        if (!existing) {
+            plan.additions.push(rule);
+        } else if (existing.category === rule.category) {
+            plan.duplicates += 1;
+        } else {
+            plan.conflicts.push({ key, existing, incoming: rule });
+        }
+    });
+
+    return plan;
+}
+
+// The user's rules and taxonomy after importing. `resolutions` maps conflict
+// keys to a CONFLICT_RESOLUTIONS value; unresolved conflicts keep the
+// user's rule.
+export function applyPackImport(plan, userRules, taxonomy, resolutions = {}) {
+    const fromPack = (rule) => ({
+        ...rule,
+        id: createRuleId(),
+        source: "user",
+        pack: plan.name,
+    });
+
+    const replaced = new Map();
+    plan.conflicts.forEach(({ key, existing, incoming }) => {
+        if (resolutions[key] === CONFLICT_RESOLUTIONS.USE_PACK) {
+            replaced.set(existing.id, fromPack(incoming));
+        }
+    });
+
+    return {
+        rules: [
+            ...userRules.map((rule) => replaced.get(rule.id) || rule),
+            ...plan.additions.map(fromPack),
+        ],
+        taxonomy: [...taxonomy, ...plan.categories],
+    };
+}
@@ -0,0 +1,379 @@
+/* global chrome */
+// Rule-based website categorization shared by the background worker, popup
+// and options page. A rule assigns a category when it matches a URL:
+//
+//   exact  - hostname equals the pattern ("mail.google.com")
+//   suffix - hostname is the pattern or a subdomain of it ("atlassian.net")
+//   path   - suffix host plus a path prefix ("youtube.com/@mitocw")
+//   regex  - regular expression tested against the full URL
+//
+// The matching rule with the highest priority wins. Ties go to the more
+// specific match type, then to the longer pattern. User rules live under
+// `categoryRules` in chrome.storage.local and are checked with the defaults.
+import { CATEGORIES, DEFAULT_CATEGORY_PATTERNS } from "./categories.js";
+
+export const CATEGORY_RULES_KEY = "categoryRules";
+
+export const RULE_TYPES = {
+    EXACT: "exact",
+    SUFFIX: "suffix",
+    PATH: "path",
+    REGEX: "regex",
+};
+
+export const USER_RULE_PRIORITY = 100;
+
+// Tie-breaker between rules of equal priority, most specific first
+const TYPE_SPECIFICITY = {
+    [RULE_TYPES.PATH]: 4,
+    [RULE_TYPES.EXACT]: 3,
+    [RULE_TYPES.REGEX]: 2,
+    [RULE_TYPES.SUFFIX]: 1,
+};
+
+// Defaults that need more than a domain suffix
+const EXTRA_DEFAULT_RULES = [
+    {
+        type: RULE_TYPES.PATH,
+        pattern: "bloomberg.com/markets",
+        category: CATEGORIES.FINANCE,
+        priority: 10,
+    },
+    {
+        type: RULE_TYPES.PATH,
+        pattern: "youtube.com/@mitocw",
+        category: CATEGORIES.EDUCATION,
+        priority: 10,
+    },
+    {
+        type: RULE_TYPES.PATH,
+        pattern: "youtube.com/@khanacademy",
+        category: CATEGORIES.EDUCATION,
+        priority: 10,
+    },
+];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Old-style patterns were matched with hostname.includes(). A trailing dot
+// ("jira.") meant "any host with this label", everything else a domain.
+function patternToRule(pattern, category, source) {
+    const value = pattern.trim().toLowerCase();
+    if (value.endsWith(".")) {
+        return {
+            type: RULE_TYPES.REGEX,
+            pattern: `^https?://([^/]*\\.)?${escapeRegExp(value)}`,
+            category,
+            priority: 0,
+            source,
+        };
+    }
+    return {
+        type: value.includes("/") ? RULE_TYPES.PATH : RULE_TYPES.SUFFIX,
+        pattern: value,
+        category,
+        priority: 0,
+        source,
+    };
+}
+
+function buildDefaultRules() {
+    const rules = [];
+    Object.entries(DEFAULT_CATEGORY_PATTERNS).forEach(
+        ([category, patterns]) => {
+            patterns.forEach((pattern) => {
+                rules.push(patternToRule(pattern, category, "default"));
+            });
+        }
+    );
+    EXTRA_DEFAULT_RULES.forEach((rule) => {
+        rules.push({ ...rule, source: "default" });
+    });
+    return rules.map((rule) => ({
+        ...rule,
+        id: `default:${rule.category}:${rule.pattern}`,
+    }));
+}
+
+export const DEFAULT_RULES = buildDefaultRules();
+
+export function createRuleId() {
+    return `rule-${Date.now().toString(36)}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}`;
+}
+
+function normalizeHost(host) {
+    return host.toLowerCase().replace(/^www\./, "");
+}
+
+function hostMatchesSuffix(hostname, suffix) {
+    const host = normalizeHost(hostname);
+    const target = normalizeHost(suffix);
+    return host === target || host.endsWith(`.${target}`);
+}
+
+const regexCache = new Map();
+
+function compileRegex(pattern) {
+    if (!regexCache.has(pattern)) {
+        let regex = null;
+        try {
+            regex = new RegExp(pattern, "i");
+        } catch {
+            // Invalid rules never match; validateRule() reports them
+        }
+        regexCache.set(pattern, regex);
+    }
+    return regexCache.get(pattern);
+}
+
+function ruleMatches(rule, parsed) {
+    switch (rule.type) {
+        case RULE_TYPES.EXACT:
+            return (
+                normalizeHost(parsed.hostname) === normalizeHost(rule.pattern)
+            );
+
+        case RULE_TYPES.SUFFIX:
+            return hostMatchesSuffix(parsed.hostname, rule.pattern);
+
+        case RULE_TYPES.PATH: {
+            const slash = rule.pattern.indexOf("/");
+            if (slash === -1) return false;
+            const host = rule.pattern.slice(0, slash);
+            const path = rule.pattern.slice(slash).toLowerCase();
+            return (
+                hostMatchesSuffix(parsed.hostname, host) &&
+                `${parsed.pathname}${parsed.search}`
+                    .toLowerCase()
+                    .startsWith(path)
+            );
+        }
+
+        case RULE_TYPES.REGEX: {
+            const regex = compileRegex(rule.pattern);
+            return Boolean(regex && regex.test(parsed.href));
+        }
+
+        default:
+            return false;
+    }
+}
+
+// Sort comparator putting the rule that wins first
+export function compareRules(a, b) {
+    return (
+        (b.priority || 0) - (a.priority || 0) ||
+        (TYPE_SPECIFICITY[b.type] || 0) - (TYPE_SPECIFICITY[a.type] || 0) ||
+        b.pattern.length - a.pattern.length
+    );
+}
+
+export function describeRule(rule) {
+    const source = rule.source === "user" ? "your rule" : "default rule";
+    return `${source}: ${rule.type} "${rule.pattern}" (priority ${
+        rule.priority || 0
+    })`;
+}
+
+// Categorize `url` and say why. `matches` lists every matching rule, winner
+// first, so a surprising result can be traced back to the rule behind it.
+export function explainCategory(url, userRules = []) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return {
+            category: CATEGORIES.OTHER,
+            rule: null,
+            matches: [],
+            reason: "Not a valid URL",
+        };
+    }
+
+    const matches = [...userRules, ...DEFAULT_RULES]
+        .filter((rule) => rule.enabled !== false && ruleMatches(rule, parsed))
+        .sort(compareRules);
+    const rule = matches[0] || null;
+
+    return {
+        category: rule ? rule.category : CATEGORIES.OTHER,
+        rule,
+        matches,
+        reason: rule ? `Matched ${describeRule(rule)}` : "No rule matched",
+    };
+}
+
+export function categorizeUrl(url, userRules = []) {
+    return explainCategory(url, userRules).category;
+}
+
+// Returns an error message, or null when the rule can be saved
+export function validateRule(rule) {
+    const pattern = (rule.pattern || "").trim();
+    if (!pattern) return "Enter a pattern";
+    if (!Object.values(RULE_TYPES).includes(rule.type)) {
+        return "Unknown match type";
+    }
+    if (!rule.category) return "Choose a category";
+    if (!Number.isFinite(rule.priority)) return "Priority must be a number";
+
+    if (rule.type === RULE_TYPES.REGEX) {
+        try {
+            new RegExp(pattern, "i");
+        } catch (error) {
+            return error.message;
+        }
+    } else if (rule.type === RULE_TYPES.PATH && !pattern.includes("/")) {
+        return 'Path rules look like "example.com/docs"';
+    } else if (rule.type !== RULE_TYPES.PATH && pattern.includes("/")) {
+        return "Host rules cannot contain a path";
+    }
+    return null;
+}
+
+// Generic TLDs that mark a pattern as a complete domain; any two-letter
+// label is taken as a country code
+const COMMON_TLDS = new Set([
+    "com",
+    "org",
+    "net",
+    "edu",
+    "gov",
+    "mil",
+    "int",
+    "info",
+    "biz",
+    "io",
+    "ai",
+    "app",
+    "dev",
+    "xyz",
+    "online",
+    "site",
+]);
+
+function isFullDomain(value) {
+    const labels = value.split(".");
+    const tld = labels[labels.length - 1];
+    return (
+        labels.length > 1 &&
+        labels.every((label) => /^[a-z0-9-]+$/.test(label)) &&
+        (/^[a-z]{2}$/.test(tld) || COMMON_TLDS.has(tld))
+    );
+}
+
+export const MAX_SHARED_REGEX_LENGTH = 200;
+
+// A repeated group that itself repeats or alternates, e.g. "(a+)+" or
+// "(a|ab)*", which can make matching take exponential time
+const NESTED_QUANTIFIER =
+    /\((?:[^()\\]|\\.)*(?:[+*|]|\{\d)(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,)/;
+
+// Regexes from other people are only run when they are short and free of
+// backreferences and nested repetition
+function checkSharedRegex(pattern) {
+    if (pattern.length > MAX_SHARED_REGEX_LENGTH) {
+        return `Regex is longer than ${MAX_SHARED_REGEX_LENGTH} characters`;
+    }
+    if (/\\[1-9]|\\k</.test(pattern)) {
+        return "Regex uses a backreference";
+    }
+    if (NESTED_QUANTIFIER.test(pattern)) {
+        return "Regex repeats a group that already repeats";
+    }
+    return null;
+}
+
+// Unrelated sites that no real rule covers all of
+const CATCH_ALL_PROBES = [
+    "https://example.com/",
+    "http://localhost:8080/index.html",
+    "https://news.ycombinator.com/item?id=1",
+];
+
+// Checks a rule from someone else (a category pack) on top of
+// validateRule(): it must not match every site, and a regex must be safe to
+// run on every visit. Returns an error message, or null when the rule can
+// be imported.
+export function checkSharedRule(rule) {
+    if (rule.type === RULE_TYPES.REGEX) {
+        const error = checkSharedRegex(rule.pattern);
+        if (error) return error;
+        const regex = compileRegex(rule.pattern);
+        if (regex && CATCH_ALL_PROBES.every((url) => regex.test(url))) {
+            return "Regex matches every site";
+        }
+    } else if (rule.type !== RULE_TYPES.EXACT) {
+        const host = rule.pattern.split("/")[0];
+        if (!host.includes(".")) {
+            return `"${host}" is too broad; use a full domain`;
+        }
+    }
+    return null;
+}
+
+// Turn the old `userCategories` map ({ category: [domain, ...] }) into rules.
+// Those patterns matched anywhere in the hostname, so only a complete domain
+// becomes a suffix rule; partial ones ("google", "docs.google") keep
+// substring matching as a regex on the host.
+export function migrateUserCategories(userCategories = {}) {
+    const rules = [];
+    Object.entries(userCategories).forEach(([category, patterns]) => {
+        (patterns || []).forEach((pattern) => {
+            const value = pattern.trim().toLowerCase();
+            if (!value) return;
+
+            const rule =
+                value.includes("/") || isFullDomain(value)
+                    ? patternToRule(value, category, "user")
+                    : {
+                          type: RULE_TYPES.REGEX,
+                          pattern: `^https?://[^/]*${escapeRegExp(value)}`,
+                          category,
+                          source: "user",
+                      };
+            rules.push({
+                ...rule,
+                id: createRuleId(),
+                priority: USER_RULE_PRIORITY,
+            });
+        });
+    });
+    return rules;
+}
+
+// Read the user's rules, migrating `userCategories` on first use
+export async function loadUserRules() {
+    const items = await chrome.storage.local.get([
+        CATEGORY_RULES_KEY,
+        "userCategories",
+    ]);
+    if (Array.isArray(items[CATEGORY_RULES_KEY])) {
+        return items[CATEGORY_RULES_KEY];
+    }
+
+    const rules = migrateUserCategories(items.userCategories);
+    await chrome.storage.local.set({ [CATEGORY_RULES_KEY]: rules });
+    await chrome.storage.local.remove("userCategories");
+    return rules;
+}
+
+export async function saveUserRules(rules) {
+    await chrome.storage.local.set({ [CATEGORY_RULES_KEY]: rules });
+    return rules;
+}
+
+// Call `callback(rules)` whenever the user's rules change. Returns a function
+// that removes the listener.
+export function onUserRulesChanged(callback) {
+    const listener = (changes, areaName) => {
+        if (areaName !== "local" || !changes[CATEGORY_RULES_KEY]) return;
+        callback(changes[CATEGORY_RULES_KEY].newValue || []);
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+}
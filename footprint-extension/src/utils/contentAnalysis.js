@@ -185,113 +185,114 @@ export function analyzeContentQuality(text) {
         : CONTENT_QUALITY.NEUTRAL;
 }
 
+// Keywords behind each topic, also used by the content classifier
+export const TOPIC_KEYWORDS = {
+    Technology: [
+        "tech",
+        "software",
+        "hardware",
+        "computer",
+        "programming",
+        "coding",
+        "ai",
+        "machine learning",
+        "blockchain",
+        "cryptocurrency",
+    ],
+    Politics: [
+        "politics",
+        "government",
+        "election",
+        "democracy",
+        "policy",
+        "legislation",
+        "congress",
+        "senate",
+        "president",
+        "vote",
+    ],
+    Sports: [
+        "sports",
+        "football",
+        "basketball",
+        "soccer",
+        "baseball",
+        "tennis",
+        "olympics",
+        "championship",
+        "team",
+        "game",
+    ],
+    Health: [
+        "health",
+        "medical",
+        "medicine",
+        "doctor",
+        "hospital",
+        "treatment",
+        "therapy",
+        "fitness",
+        "nutrition",
+        "wellness",
+    ],
+    Entertainment: [
+        "movie",
+        "film",
+        "music",
+        "concert",
+        "celebrity",
+        "actor",
+        "singer",
+        "album",
+        "show",
+        "entertainment",
+    ],
+    Business: [
+        "business",
+        "company",
+        "market",
+        "stock",
+        "economy",
+        "finance",
+        "investment",
+        "startup",
+        "entrepreneur",
+        "corporate",
+    ],
+    Science: [
+        "science",
+        "research",
+        "study",
+        "experiment",
+        "discovery",
+        "theory",
+        "biology",
+        "chemistry",
+        "physics",
+        "astronomy",
+    ],
+    Travel: [
+        "travel",
+        "vacation",
+        "trip",
+        "tourism",
+        "destination",
+        "flight",
+        "hotel",
+        "adventure",
+        "culture",
+        "explore",
+    ],
+};
+
 // Extract topics from content
 export function extractTopics(text, maxTopics = 5) {
     if (!text || typeof text !== "string") return [];
 
-    const topicKeywords = {
-        Technology: [
-            "tech",
-            "software",
-            "hardware",
-            "computer",
-            "programming",
-            "coding",
-            "ai",
-            "machine learning",
-            "blockchain",
-            "cryptocurrency",
-        ],
-        Politics: [
-            "politics",
-            "government",
-            "election",
-            "democracy",
-            "policy",
-            "legislation",
-            "congress",
-            "senate",
-            "president",
-            "vote",
-        ],
-        Sports: [
-            "sports",
-            "football",
-            "basketball",
-            "soccer",
-            "baseball",
-            "tennis",
-            "olympics",
-            "championship",
-            "team",
-            "game",
-        ],
-        Health: [
-            "health",
-            "medical",
-            "medicine",
-            "doctor",
-            "hospital",
-            "treatment",
-            "therapy",
-            "fitness",
-            "nutrition",
-            "wellness",
-        ],
-        Entertainment: [
-            "movie",
-            "film",
-            "music",
-            "concert",
-            "celebrity",
-            "actor",
-            "singer",
-            "album",
-            "show",
-            "entertainment",
-        ],
-        Business: [
-            "business",
-            "company",
-            "market",
-            "stock",
-            "economy",
-            "finance",
-            "investment",
-            "startup",
-            "entrepreneur",
-            "corporate",
-        ],
-        Science: [
-            "science",
-            "research",
-            "study",
-            "experiment",
-            "discovery",
-            "theory",
-            "biology",
-            "chemistry",
-            "physics",
-            "astronomy",
-        ],
-        Travel: [
-            "travel",
-            "vacation",
-            "trip",
-            "tourism",
-            "destination",
-            "flight",
-            "hotel",
-            "adventure",
-            "culture",
-            "explore",
-        ],
-    };
-
     const lowercaseText = text.toLowerCase();
     const topicScores = {};
 
-    Object.entries(topicKeywords).forEach(([topic, keywords]) => {
+    Object.entries(TOPIC_KEYWORDS).forEach(([topic, keywords]) => {
         let score = 0;
         keywords.forEach((keyword) => {
             const matches = lowercaseText.match(
@@ -0,0 +1,219 @@
+// Local, keyword-based page classifier for sites the URL rules don't know.
+// Each category has a keyword profile; the topic vocabulary from
+// contentAnalysis.js is folded in so both agree on what a page is about.
+// Words in the title, description and meta keywords count more than body
+// text, and the confidence reflects both the margin over other categories
+// and how much evidence the page gave.
+import { CATEGORIES } from "./categories.js";
+import { TOPIC_KEYWORDS } from "./contentAnalysis.js";
+
+// Guesses below this confidence leave the site in "other"
+export const MIN_GUESS_CONFIDENCE = 0.4;
+
+const HEADER_WEIGHT = 3;
+const BODY_TEXT_LIMIT = 5000;
+
+// Score needed before a guess can reach full confidence
+const EVIDENCE_TARGET = 12;
+
+const TOPIC_CATEGORIES = {
+    Technology: CATEGORIES.PRODUCTIVITY,
+    Politics: CATEGORIES.NEWS,
+    Sports: CATEGORIES.ENTERTAINMENT,
+    Health: CATEGORIES.HEALTH,
+    Entertainment: CATEGORIES.ENTERTAINMENT,
+    Business: CATEGORIES.FINANCE,
+    Science: CATEGORIES.EDUCATION,
+};
+
+const CATEGORY_KEYWORDS = {
+    [CATEGORIES.PRODUCTIVITY]: [
+        "documentation",
+        "docs",
+        "api",
+        "repository",
+        "dashboard",
+        "workspace",
+        "project",
+        "tasks",
+        "sprint",
+        "deploy",
+    ],
+    [CATEGORIES.WORK]: [
+        "meeting",
+        "calendar",
+        "inbox",
+        "crm",
+        "invoice",
+        "payroll",
+        "timesheet",
+        "intranet",
+        "colleagues",
+        "onboarding",
+    ],
+    [CATEGORIES.EDUCATION]: [
+        "course",
+        "lecture",
+        "lesson",
+        "tutorial",
+        "learn",
+        "university",
+        "students",
+        "syllabus",
+        "quiz",
+        "curriculum",
+    ],
+    [CATEGORIES.NEWS]: [
+        "news",
+        "breaking",
+        "headlines",
+        "reporter",
+        "editorial",
+        "opinion",
+        "coverage",
+        "journalism",
+        "updated",
+        "exclusive",
+    ],
+    [CATEGORIES.SHOPPING]: [
+        "cart",
+        "checkout",
+        "shipping",
+        "price",
+        "buy",
+        "sale",
+        "discount",
+        "order",
+        "reviews",
+        "shop",
+    ],
+    [CATEGORIES.SOCIAL]: [
+        "followers",
+        "following",
+        "likes",
+        "profile",
+        "post",
+        "comments",
+        "share",
+        "friends",
+        "feed",
+        "community",
+    ],
+    [CATEGORIES.ENTERTAINMENT]: [
+        "watch",
+        "episode",
+        "season",
+        "stream",
+        "trailer",
+        "gaming",
+        "playlist",
+        "video",
+        "comedy",
+        "anime",
+    ],
+    [CATEGORIES.FINANCE]: [
+        "bank",
+        "banking",
+        "loan",
+        "mortgage",
+        "credit",
+        "portfolio",
+        "trading",
+        "crypto",
+        "budget",
+        "tax",
+    ],
+    [CATEGORIES.HEALTH]: [
+        "symptoms",
+        "diagnosis",
+        "patients",
+        "clinic",
+        "workout",
+        "diet",
+        "mental health",
+        "sleep",
+        "meditation",
+        "vaccine",
+    ],
+};
+
+// category -> keywords, with the topic vocabulary added in
+function buildProfiles() {
+    const profiles = {};
+    Object.entries(CATEGORY_KEYWORDS).forEach(([category, keywords]) => {
+        profiles[category] = [...keywords];
+    });
+    Object.entries(TOPIC_CATEGORIES).forEach(([topic, category]) => {
+        profiles[category].push(...TOPIC_KEYWORDS[topic]);
+    });
+    return profiles;
+}
+
+const PROFILES = buildProfiles();
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function countKeyword(text, keyword) {
+    const matches = text.match(
+        new RegExp(`\\b${escapeRegExp(keyword)}\\b`, "g")
+    );
+    return matches ? matches.length : 0;
+}
+
+// Profiles for user-created categories come from the words in their name
+function customProfiles(taxonomy = []) {
+    const profiles = {};
+    taxonomy
+        .filter((category) => !category.builtIn)
+        .forEach((category) => {
+            const words = category.name
+                .toLowerCase()
+                .split(/[^a-z0-9]+/)
+                .filter((word) => word.length > 2);
+            if (words.length > 0) profiles[category.id] = words;
+        });
+    return profiles;
+}
+
+// `page` holds title, description, keywords and text as sent by the content
+// script. Returns { category, confidence, terms } where `terms` are the
+// keywords that decided it, or null when nothing matched.
+export function classifyPage(page, taxonomy = []) {
+    const header = [page.title, page.description, page.keywords]
+        .filter(Boolean)
+        .join(" ")
+        .toLowerCase();
+    const body = (page.text || "").slice(0, BODY_TEXT_LIMIT).toLowerCase();
+
+    const profiles = { ...PROFILES, ...customProfiles(taxonomy) };
+    const scores = {};
+    const terms = {};
+
+    Object.entries(profiles).forEach(([category, keywords]) => {
+        keywords.forEach((keyword) => {
+            const score =
+                countKeyword(header, keyword) * HEADER_WEIGHT +
+                countKeyword(body, keyword);
+            if (score > 0) {
+                scores[category] = (scores[category] || 0) + score;
+                (terms[category] = terms[category] || []).push(keyword);
+            }
+        });
+    });
+
+    const ranked = Object.entries(scores).sort(([, a], [, b]) => b - a);
+    if (ranked.length === 0) return null;
+
+    const [category, top] = ranked[0];
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    const margin = top / total;
+    const evidence = Math.min(1, top / EVIDENCE_TARGET);
+
+    return {
+        category,
+        confidence: Math.round(margin * evidence * 100) / 100,
+        terms: terms[category].slice(0, 5),
+    };
+}
@@ -0,0 +1,83 @@
+/* global chrome */
+// What the extension may do on a site, per domain or per category:
+//
+//   "full"   track time and read page content for analysis
+//   "time"   track time only; the page is never read
+//   "ignore" leave the site alone, like an excluded site
+//
+// Category policies live in settings as `contentPolicies.categories`
+// ({ finance: "time" }). Domain policies ({ "bank.example": "time" }) grow
+// with every site the user adds, so they are kept under
+// `domainContentPolicies` in chrome.storage.local rather than in the
+// size-limited sync settings item. A domain policy wins over its
+// category's. The content script can't import this module, so it compares
+// against the same string values itself.
+import { CATEGORIES } from "./categories.js";
+import { domainMatches, normalizeDomain } from "./siteBlocking.js";
+
+export const DOMAIN_POLICIES_KEY = "domainContentPolicies";
+
+export const CONTENT_POLICIES = {
+    FULL: "full",
+    TIME_ONLY: "time",
+    IGNORE: "ignore",
+};
+
+export const CONTENT_POLICY_LABELS = {
+    [CONTENT_POLICIES.FULL]: "Time and content",
+    [CONTENT_POLICIES.TIME_ONLY]: "Time only",
+    [CONTENT_POLICIES.IGNORE]: "Ignore",
+};
+
+// Banking and medical pages are never read unless the user says otherwise
+export const DEFAULT_CONTENT_POLICIES = {
+    categories: {
+        [CATEGORIES.FINANCE]: CONTENT_POLICIES.TIME_ONLY,
+        [CATEGORIES.HEALTH]: CONTENT_POLICIES.TIME_ONLY,
+    },
+};
+
+// The policy for `hostname`, categorized as `category`, given the domain
+// policies and the settings' category policies. The longest matching domain
+// wins, so "mail.example.com" can differ from "example.com".
+export function resolveContentPolicy(domains, policies, hostname, category) {
+    const domain = Object.keys(domains || {})
+        .filter((target) => domainMatches(hostname, target))
+        .sort((a, b) => b.length - a.length)[0];
+    if (domain) return domains[domain];
+    return policies?.categories?.[category] || CONTENT_POLICIES.FULL;
+}
+
+// Returns `domains` with `domain` set to `policy`, or removed when `policy`
+// is null
+export function setDomainPolicy(domains, domain, policy) {
+    const updated = { ...domains };
+    const target = normalizeDomain(domain);
+    if (policy) {
+        updated[target] = policy;
+    } else {
+        delete updated[target];
+    }
+    return updated;
+}
+
+export async function loadDomainPolicies() {
+    const items = await chrome.storage.local.get([DOMAIN_POLICIES_KEY]);
+    return items[DOMAIN_POLICIES_KEY] || {};
+}
+
+export async function saveDomainPolicies(domains) {
+    await chrome.storage.local.set({ [DOMAIN_POLICIES_KEY]: domains });
+    return domains;
+}
+
+// Call `callback(domains)` whenever the domain policies change. Returns a
+// function that removes the listener.
+export function onDomainPoliciesChanged(callback) {
+    const listener = (changes, areaName) => {
+        if (areaName !== "local" || !changes[DOMAIN_POLICIES_KEY]) return;
+        callback(changes[DOMAIN_POLICIES_KEY].newValue || {});
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+}
@@ -0,0 +1,90 @@
+/* global chrome */
+// Focus mode: for a set time, navigations to chosen categories and domains
+// are redirected to the extension's block page (see siteBlocking.js). The
+// session lives under `focusSession` in chrome.storage.local; every
+// "allow 5 minutes" is logged to `focusBypasses`.
+import { CATEGORIES } from "./categories.js";
+import {
+    BLOCK_REASONS,
+    domainMatches,
+    normalizeDomain,
+} from "./siteBlocking.js";
+
+export const FOCUS_KEY = "focusSession";
+export const FOCUS_BYPASSES_KEY = "focusBypasses";
+
+export const FOCUS_DURATIONS = [25, 50, 90]; // minutes offered in the popup
+export const DEFAULT_FOCUS_CATEGORIES = [
+    CATEGORIES.SOCIAL,
+    CATEGORIES.ENTERTAINMENT,
+];
+export const BYPASS_MINUTES = 5;
+export const MAX_BYPASS_LOG = 500;
+
+// Parse the popup's "extra domains" text
+export function parseFocusDomains(text) {
+    return [
+        ...new Set(
+            text
+                .split(/[\s,]+/)
+                .map(normalizeDomain)
+                .filter(Boolean)
+        ),
+    ];
+}
+
+export function isFocusActive(focus, now = Date.now()) {
+    return Boolean(focus && focus.endsAt > now);
+}
+
+function activeBypasses(focus, now) {
+    return Object.entries(focus.bypasses || {})
+        .filter(([, until]) => until > now)
+        .map(([domain]) => domain);
+}
+
+// Whether a visit to `hostname`, categorized as `category`, is blocked
+export function isBlockedByFocus(focus, hostname, category, now = Date.now()) {
+    if (!isFocusActive(focus, now)) return false;
+    if (activeBypasses(focus, now).some((d) => domainMatches(hostname, d))) {
+        return false;
+    }
+    return (
+        focus.domains.some((domain) => domainMatches(hostname, domain)) ||
+        focus.categories.includes(category)
+    );
+}
+
+// What an active session blocks, in the form buildBlockRules() takes.
+// Bypassed domains come first as allow entries.
+export function getFocusBlocks(focus, now = Date.now()) {
+    const blocks = { categories: {}, domains: [] };
+    if (!isFocusActive(focus, now)) return blocks;
+
+    focus.categories.forEach((category) => {
+        blocks.categories[category] = BLOCK_REASONS.FOCUS;
+    });
+    activeBypasses(focus, now).forEach((domain) => {
+        blocks.domains.push({ domain, reason: null });
+    });
+    focus.domains.forEach((domain) => {
+        blocks.domains.push({ domain, reason: BLOCK_REASONS.FOCUS });
+    });
+    return blocks;
+}
+
+export async function loadFocusSession() {
+    const items = await chrome.storage.local.get([FOCUS_KEY]);
+    return items[FOCUS_KEY] || null;
+}
+
+// Call `callback(focus)` whenever focus mode starts, ends or is bypassed.
+// Returns a function that removes the listener.
+export function onFocusChanged(callback) {
+    const listener = (changes, areaName) => {
+        if (areaName !== "local" || !changes[FOCUS_KEY]) return;
+        callback(changes[FOCUS_KEY].newValue || null);
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+}
@@ -0,0 +1,143 @@
+// Personal data scrubbing. Page text and titles go through scrubPii() before
+// they are analyzed, stored or uploaded. Each match is replaced with a
+// placeholder such as "[email]" and counted by type. Card numbers and IBANs
+// must also pass their checksums, so order numbers and the like are left
+// alone.
+
+export const PII_TYPES = {
+    EMAIL: "email",
+    IBAN: "iban",
+    CARD: "card",
+    GOVERNMENT_ID: "id",
+    PHONE: "phone",
+    ADDRESS: "address",
+};
+
+export const PII_LABELS = {
+    [PII_TYPES.EMAIL]: "Email",
+    [PII_TYPES.IBAN]: "IBAN",
+    [PII_TYPES.CARD]: "Card number",
+    [PII_TYPES.GOVERNMENT_ID]: "Government ID",
+    [PII_TYPES.PHONE]: "Phone number",
+    [PII_TYPES.ADDRESS]: "Address",
+};
+
+function digitsOf(text) {
+    return text.replace(/\D/g, "");
+}
+
+// Luhn checksum used by payment card numbers
+function isLuhnValid(number) {
+    let sum = 0;
+    for (let i = 0; i < number.length; i += 1) {
+        let digit = Number(number[number.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// ISO 13616 mod-97 check
+function isIbanValid(iban) {
+    const compact = iban.replace(/\s/g, "").toUpperCase();
+    const rearranged = compact.slice(4) + compact.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+        const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+        for (const digit of value) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+    }
+    return remainder === 1;
+}
+
+const STREET_SUFFIXES =
+    "Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Square|Sq|Strasse|Straße";
+
+// Applied in order; earlier patterns claim their text first, e.g. an IBAN's
+// digits are never seen by the card or phone patterns
+const PATTERNS = [
+    {
+        type: PII_TYPES.EMAIL,
+        pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    },
+    {
+        type: PII_TYPES.IBAN,
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+        accept: isIbanValid,
+    },
+    {
+        type: PII_TYPES.CARD,
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        accept: (match) => isLuhnValid(digitsOf(match)),
+    },
+    {
+        type: PII_TYPES.GOVERNMENT_ID,
+        // US social security and UK national insurance numbers
+        pattern:
+            /\b\d{3}-\d{2}-\d{4}\b|\b[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+    },
+    {
+        type: PII_TYPES.GOVERNMENT_ID,
+        // Labelled numbers such as "Passport No: X1234567"
+        pattern:
+            /(?<=\b(?:passport|national id|tax id|ssn|driver'?s licen[cs]e)(?: (?:no\.?|number|#))?:? ?)[A-Z0-9][A-Z0-9-]{5,}/gi,
+    },
+    {
+        type: PII_TYPES.PHONE,
+        pattern:
+            /\+\d{1,3}[ .-]?(?:\(?\d{1,4}\)?[ .-]?){1,4}\d{2,4}\b|(?:\(\d{3}\) ?|\b\d{3}[ .-])\d{3}[ .-]\d{4}\b/g,
+        accept: (match) => {
+            const length = digitsOf(match).length;
+            return length >= 7 && length <= 15;
+        },
+    },
+    {
+        type: PII_TYPES.PHONE,
+        // National formats after a label, e.g. "Tel: 020 7946 0958"
+        pattern:
+            /(?<=\b(?:tel|phone|mobile|cell|fax)\.?:? ?)\(?\d[\d ().-]{5,16}\d\b/gi,
+        accept: (match) => digitsOf(match).length >= 7,
+    },
+    {
+        type: PII_TYPES.ADDRESS,
+        pattern: new RegExp(
+            `\\b\\d{1,5}[A-Za-z]? (?:[A-Z][a-z]+ ){1,3}(?:${STREET_SUFFIXES})\\b\\.?`,
+            "g"
+        ),
+    },
+    {
+        type: PII_TYPES.ADDRESS,
+        // UK postcodes and US ", ST 12345" state and ZIP pairs. The comma
+        // after the city keeps "PR 12345" or "BA 24680" from matching.
+        pattern:
+            /\b[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}\b|(?<=, )[A-Z]{2} \d{5}(?:-\d{4})?\b/g,
+    },
+];
+
+// Returns { text, counts, total } where `counts` has the number of
+// redactions per PII type
+export function scrubPii(text) {
+    const counts = {};
+    Object.values(PII_TYPES).forEach((type) => {
+        counts[type] = 0;
+    });
+    if (!text || typeof text !== "string") {
+        return { text: text || "", counts, total: 0 };
+    }
+
+    let scrubbed = text;
+    PATTERNS.forEach(({ type, pattern, accept }) => {
+        scrubbed = scrubbed.replace(pattern, (match) => {
+            if (accept && !accept(match)) return match;
+            counts[type] += 1;
+            return `[${type}]`;
+        });
+    });
+
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    return { text: scrubbed, counts, total };
+}
@@ -0,0 +1,67 @@
+/* global chrome */
+// Pomodoro timer: work blocks and breaks take turns until stopped. The
+// running timer lives under `pomodoro` in chrome.storage.local:
+//
+//   { phase, phaseStartedAt, endsAt, workMinutes, breakMinutes, blocks,
+//     lastBlock }
+//
+// where `blocks` counts finished work blocks and `lastBlock` is the summary
+// of the latest one. The work and break lengths offered next time are kept
+// in settings.
+
+export const POMODORO_KEY = "pomodoro";
+
+export const POMODORO_PHASES = {
+    WORK: "work",
+    BREAK: "break",
+};
+
+const MAX_PHASE_MINUTES = 4 * 60;
+
+// Returns an error message, or null when the lengths can be used
+export function validatePomodoroLengths(workMinutes, breakMinutes) {
+    const valid = (minutes) =>
+        Number.isFinite(minutes) &&
+        minutes >= 1 &&
+        minutes <= MAX_PHASE_MINUTES;
+    if (!valid(workMinutes) || !valid(breakMinutes)) {
+        return "Work and break lengths are between 1 minute and 4 hours";
+    }
+    return null;
+}
+
+export function isPomodoroRunning(pomodoro) {
+    return Boolean(pomodoro?.phase);
+}
+
+// Time per category spent between `start` and `end`, as
+// [{ category, time }], from visit records
+export function blockCategoryTimes(visits, start, end) {
+    const times = {};
+    visits.forEach((visit) => {
+        const time = Math.min(visit.end, end) - Math.max(visit.start, start);
+        if (time > 0) {
+            times[visit.category] = (times[visit.category] || 0) + time;
+        }
+    });
+    return Object.entries(times).map(([category, time]) => ({
+        category,
+        time,
+    }));
+}
+
+export async function loadPomodoro() {
+    const items = await chrome.storage.local.get([POMODORO_KEY]);
+    return items[POMODORO_KEY] || null;
+}
+
+// Call `callback(pomodoro)` whenever the timer starts, changes phase or
+// stops. Returns a function that removes the listener.
+export function onPomodoroChanged(callback) {
+    const listener = (changes, areaName) => {
+        if (areaName !== "local" || !changes[POMODORO_KEY]) return;
+        callback(changes[POMODORO_KEY].newValue || null);
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+}
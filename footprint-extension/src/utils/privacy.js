@@ -0,0 +1,57 @@
+/* global chrome */
+// Privacy mode. With it on, /tracking/ingest uploads carry only the site's
+// domain (or a salted SHA-256 hash of it), its category and the visit's
+// timings. Full URLs, titles, page text and interaction counts stay on the
+// device, and page text is analyzed locally instead of by /content/analyze.
+// The salt is made once per install, kept under `privacySalt` in
+// chrome.storage.local and never uploaded.
+
+export const PRIVACY_SALT_KEY = "privacySalt";
+
+export async function hashDomain(domain, salt) {
+    const bytes = new TextEncoder().encode(`${salt}:${domain}`);
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(digest), (byte) =>
+        byte.toString(16).padStart(2, "0")
+    ).join("");
+}
+
+export async function loadPrivacySalt() {
+    const items = await chrome.storage.local.get([PRIVACY_SALT_KEY]);
+    if (items[PRIVACY_SALT_KEY]) return items[PRIVACY_SALT_KEY];
+
+    const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) =>
+        b.toString(16).padStart(2, "0")
+    ).join("");
+    await chrome.storage.local.set({ [PRIVACY_SALT_KEY]: salt });
+    return salt;
+}
+
+// An ingest payload reduced to what privacy mode uploads. The domain is
+// hashed with `salt` when one is given. Already redacted payloads (from the
+// outbox) keep their site and category, and only get hashed if they were
+// not yet.
+export async function redactIngestPayload(payload, { category, salt } = {}) {
+    if (payload.domain_hashed) return payload;
+
+    let domain = payload.url || "";
+    if (!payload.privacy_mode) {
+        try {
+            domain = new URL(payload.url).hostname;
+        } catch {
+            domain = "";
+        }
+    }
+
+    return {
+        user_id: payload.user_id,
+        url: salt && domain ? await hashDomain(domain, salt) : domain,
+        category: payload.privacy_mode ? payload.category : category || null,
+        start_ts: payload.start_ts,
+        end_ts: payload.end_ts,
+        duration_seconds: payload.duration_seconds,
+        focus_time_seconds: payload.focus_time_seconds,
+        privacy_mode: true,
+        domain_hashed: Boolean(salt && domain),
+    };
+}
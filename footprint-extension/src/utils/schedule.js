@@ -0,0 +1,173 @@
+// Weekly tracking schedule. When the schedule is on, time is only tracked
+// inside its windows; a day without a window is never tracked. A window
+// looks like
+//
+//   { id, days: [1, 2, 3, 4, 5], start: "09:00", end: "18:00" }
+//
+// with days numbered like Date#getDay() (0 is Sunday) and local clock
+// times. A window that ends at or before its start runs past midnight into
+// the next day, and "24:00" stands for the end of the day.
+
+export const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export const DEFAULT_SCHEDULE = { enabled: false, windows: [] };
+
+// Windows offered when the schedule is first turned on
+export const WORKDAY_WINDOW = {
+    days: [1, 2, 3, 4, 5],
+    start: "09:00",
+    end: "18:00",
+};
+
+// Pause lengths offered in the popup. "Until tomorrow" lasts until midnight.
+export const TIMED_PAUSES = [
+    { id: "15m", label: "15 min", minutes: 15 },
+    { id: "1h", label: "1 hour", minutes: 60 },
+    { id: "tomorrow", label: "Until tomorrow", minutes: null },
+];
+
+export function createWindowId() {
+    return `window-${Date.now().toString(36)}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}`;
+}
+
+// Minutes after midnight for "HH:MM", or NaN
+export function parseClock(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+    if (!match) return NaN;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) {
+        return NaN;
+    }
+    return hours * 60 + minutes;
+}
+
+// Returns an error message, or null when the window can be saved
+export function validateScheduleWindow(range) {
+    if (!Array.isArray(range.days) || range.days.length === 0) {
+        return "Choose at least one day";
+    }
+    const start = parseClock(range.start);
+    const end = parseClock(range.end);
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+        return "Times look like 09:00";
+    }
+    if (start === end) return "A window can't start and end at the same time";
+    return null;
+}
+
+function dayAt(timestamp, dayOffset, minutes) {
+    const date = new Date(timestamp);
+    return new Date(
+        date.getFullYear(),
+        date.getMonth(),
+        date.getDate() + dayOffset,
+        0,
+        minutes
+    ).getTime();
+}
+
+// Whether the schedule allows tracking at `timestamp`. Always true when the
+// schedule is off.
+export function isTrackingScheduled(schedule, timestamp = Date.now()) {
+    if (!schedule?.enabled) return true;
+    const date = new Date(timestamp);
+    const day = date.getDay();
+    const yesterday = (day + 6) % 7;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    return schedule.windows.some((range) => {
+        const start = parseClock(range.start);
+        const end = parseClock(range.end);
+        if (start < end) {
+            return (
+                range.days.includes(day) && minutes >= start && minutes < end
+            );
+        }
+        return (
+            (range.days.includes(day) && minutes >= start) ||
+            (range.days.includes(yesterday) && minutes < end)
+        );
+    });
+}
+
+// When tracking next switches between allowed and not allowed, or null if
+// it never does (schedule off, or the same all week)
+export function nextScheduleChange(schedule, timestamp = Date.now()) {
+    if (!schedule?.enabled) return null;
+
+    const boundaries = [];
+    for (let offset = -1; offset <= 8; offset += 1) {
+        const day = new Date(dayAt(timestamp, offset, 0)).getDay();
+        schedule.windows.forEach((range) => {
+            if (!range.days.includes(day)) return;
+            const start = parseClock(range.start);
+            const end = parseClock(range.end);
+            boundaries.push(dayAt(timestamp, offset, start));
+            boundaries.push(
+                dayAt(timestamp, start < end ? offset : offset + 1, end)
+            );
+        });
+    }
+
+    const current = isTrackingScheduled(schedule, timestamp);
+    return (
+        boundaries
+            .filter((boundary) => boundary > timestamp)
+            .sort((a, b) => a - b)
+            .find(
+                (boundary) =>
+                    isTrackingScheduled(schedule, boundary) !== current
+            ) || null
+    );
+}
+
+// When a timed pause started at `now` ends, or null for an unknown pause
+export function timedPauseEnd(pauseId, now = Date.now()) {
+    const pause = TIMED_PAUSES.find((entry) => entry.id === pauseId);
+    if (!pause) return null;
+    return pause.minutes ? now + pause.minutes * 60 * 1000 : dayAt(now, 1, 0);
+}
+
+// "18:00", or "Mon 09:00" when `timestamp` is on another day than `now`
+export function formatScheduleTime(timestamp, now = Date.now()) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+    return date.toDateString() === new Date(now).toDateString()
+        ? time
+        : `${DAY_NAMES[date.getDay()]} ${time}`;
+}
+
+// "Mon–Fri" style label for a set of days
+export function describeDays(days) {
+    const sorted = [1, 2, 3, 4, 5, 6, 0].filter((day) => days.includes(day));
+    const runs = [];
+    sorted.forEach((day, index) => {
+        const previous = sorted[index - 1];
+        const run = runs[runs.length - 1];
+        if (run && (previous + 1) % 7 === day) {
+            run[1] = day;
+        } else {
+            runs.push([day, day]);
+        }
+    });
+    return runs
+        .map(([first, last]) =>
+            first === last
+                ? DAY_NAMES[first]
+                : `${DAY_NAMES[first]}–${DAY_NAMES[last]}`
+        )
+        .join(", ");
+}
+
+// Days of the week with no window at all
+export function unscheduledDays(schedule) {
+    return [0, 1, 2, 3, 4, 5, 6].filter(
+        (day) => !schedule.windows.some((range) => range.days.includes(day))
+    );
+}
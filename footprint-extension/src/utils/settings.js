@@ -0,0 +1,132 @@
+/* global chrome */
+// Extension settings shared by the background worker, popup and options page.
+// Everything lives in one versioned object under `settings` in
+// chrome.storage.sync; older builds spread it over separate keys in sync and
+// local storage, which migrateSettings() folds in once.
+import { DEFAULT_CONTENT_POLICIES } from "./contentPolicy.js";
+import { DEFAULT_SCHEDULE } from "./schedule.js";
+
+export const SETTINGS_KEY = "settings";
+export const SETTINGS_VERSION = 1;
+
+// What the toolbar badge shows
+export const BADGE_MODES = {
+    OFF: "off",
+    TODAY: "today", // today's tracked total
+    SITE: "site", // today's time on the current site
+    LIMIT: "limit", // time left on the current site's daily limit
+};
+
+export const DEFAULT_SETTINGS = {
+    version: SETTINGS_VERSION,
+    trackingEnabled: true,
+    privacyMode: false, // upload only domain, category and timings
+    hashDomains: false, // in privacy mode, upload a salted hash of the domain
+    contentScanning: true,
+    contentPolicies: DEFAULT_CONTENT_POLICIES, // per-category time/content/ignore
+    emotionalAnalysis: true,
+    productivityTracking: true,
+    biasDetection: true,
+    scanInterval: 30000, // ms between content scans
+    idleDetectionInterval: 300, // seconds without input before "idle"
+    excludedSites: ["chrome://", "chrome-extension://", "about:"],
+    apiBaseUrl: "", // empty uses the build-time default
+    syncDashboardLimits: false, // take daily limits from dashboard settings
+    pomodoroWorkMinutes: 25,
+    pomodoroBreakMinutes: 5,
+    badgeMode: BADGE_MODES.TODAY,
+    trackingSchedule: DEFAULT_SCHEDULE, // weekly windows when tracking runs
+    onboardingCompleted: false,
+};
+
+// Keys written by older versions, removed once migrated
+const LEGACY_SYNC_KEYS = [
+    "trackingEnabled",
+    "excludedSites",
+    "privacyMode",
+    "idleDetectionInterval",
+    "apiBaseUrl",
+];
+
+// Fill in defaults and drop unknown keys
+function normalizeSettings(settings = {}) {
+    const normalized = { ...DEFAULT_SETTINGS };
+    Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+        if (settings[key] !== undefined) normalized[key] = settings[key];
+    });
+    normalized.version = SETTINGS_VERSION;
+    return normalized;
+}
+
+// Build current settings from whatever an older version left behind.
+// `syncItems` and `localItems` are the raw contents of each storage area.
+export function migrateSettings(syncItems = {}, localItems = {}) {
+    const current = syncItems[SETTINGS_KEY];
+    if (current?.version === SETTINGS_VERSION) {
+        return normalizeSettings(current);
+    }
+
+    // Options used to keep its toggles in chrome.storage.local
+    const legacyOptions = localItems[SETTINGS_KEY] || {};
+    const migrated = { ...legacyOptions, ...(current || {}) };
+
+    LEGACY_SYNC_KEYS.forEach((key) => {
+        if (syncItems[key] !== undefined) migrated[key] = syncItems[key];
+    });
+
+    // The background kept its own exclusions in sync storage and Options
+    // kept an excludeList, so keep every site from both
+    migrated.excludedSites = [
+        ...new Set([
+            ...(migrated.excludedSites || DEFAULT_SETTINGS.excludedSites),
+            ...(Array.isArray(legacyOptions.excludeList)
+                ? legacyOptions.excludeList
+                : []),
+        ]),
+    ];
+
+    return normalizeSettings(migrated);
+}
+
+// Read settings, migrating and saving them first if they are out of date
+export async function loadSettings() {
+    const syncItems = await chrome.storage.sync.get(null);
+    if (syncItems[SETTINGS_KEY]?.version === SETTINGS_VERSION) {
+        return normalizeSettings(syncItems[SETTINGS_KEY]);
+    }
+
+    const localItems = await chrome.storage.local.get([SETTINGS_KEY]);
+    const settings = migrateSettings(syncItems, localItems);
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+    await chrome.storage.sync.remove(LEGACY_SYNC_KEYS);
+    await chrome.storage.local.remove(SETTINGS_KEY);
+    return settings;
+}
+
+// Merge `patch` into the stored settings and return the result
+export async function updateSettings(patch) {
+    const settings = normalizeSettings({ ...(await loadSettings()), ...patch });
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+    return settings;
+}
+
+export async function resetSettings() {
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: { ...DEFAULT_SETTINGS } });
+    return { ...DEFAULT_SETTINGS };
+}
+
+// Call `callback(newSettings, oldSettings)` whenever settings change, from
+// any extension page. Returns a function that removes the listener.
+export function onSettingsChanged(callback) {
+    const listener = (changes, areaName) => {
+        if (areaName !== "sync" || !changes[SETTINGS_KEY]?.newValue) return;
+        callback(
+            normalizeSettings(changes[SETTINGS_KEY].newValue),
+            changes[SETTINGS_KEY].oldValue
+                ? normalizeSettings(changes[SETTINGS_KEY].oldValue)
+                : { ...DEFAULT_SETTINGS }
+        );
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+}
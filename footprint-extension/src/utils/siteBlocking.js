@@ -0,0 +1,149 @@
+// Site blocking shared by focus mode and daily limits. Blocking is done with
+// declarativeNetRequest dynamic rules built from the same category rules the
+// tracker uses, so a site is blocked exactly when it would be tracked under
+// a blocked category. Blocked navigations go to the extension's block page
+// with the reason and the original URL:
+//
+//   blocked/index.html?reason=focus&url=https://www.youtube.com/watch?v=1
+//
+// The URL is appended unencoded by the redirect, so it always comes last.
+import { DEFAULT_RULES, RULE_TYPES, compareRules } from "./categoryRules.js";
+
+export const BLOCK_PAGE = "blocked/index.html";
+
+export const BLOCK_REASONS = {
+    FOCUS: "focus",
+    LIMIT: "limit",
+};
+
+export function normalizeDomain(domain) {
+    return domain
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\//, "")
+        .replace(/^www\./, "")
+        .split("/")[0];
+}
+
+// Whether `hostname` is `domain` or one of its subdomains
+export function domainMatches(hostname, domain) {
+    const host = normalizeDomain(hostname);
+    return host === domain || host.endsWith(`.${domain}`);
+}
+
+// `pageUrl` is the block page's full extension URL
+export function blockPageUrl(pageUrl, reason, url = "") {
+    return `${pageUrl}?reason=${reason}&url=${url}`;
+}
+
+// The reason and blocked URL from a block page address
+export function parseBlockPageUrl(href) {
+    const index = href.indexOf("&url=");
+    if (index === -1) return { reason: null, url: "" };
+    const params = new URLSearchParams(href.slice(href.indexOf("?"), index));
+    return {
+        reason: params.get("reason"),
+        url: href.slice(index + "&url=".length),
+    };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// A regexFilter matching the whole URL of every page `rule` matches
+function ruleToRegex(rule) {
+    const anyHost = "^https?://([^/?#]*\\.)?";
+    const rest = "([:/?#].*)?$";
+    switch (rule.type) {
+        case RULE_TYPES.EXACT:
+            return `^https?://(www\\.)?${escapeRegExp(
+                normalizeDomain(rule.pattern)
+            )}${rest}`;
+
+        case RULE_TYPES.SUFFIX:
+            return `${anyHost}${escapeRegExp(
+                normalizeDomain(rule.pattern)
+            )}${rest}`;
+
+        case RULE_TYPES.PATH:
+            return `${anyHost}${escapeRegExp(rule.pattern.toLowerCase())}.*$`;
+
+        case RULE_TYPES.REGEX:
+            return `^.*(${rule.pattern}).*$`;
+
+        default:
+            return null;
+    }
+}
+
+// declarativeNetRequest rules (without ids) for what `blocks` describes:
+//   categories - { [category]: reason } for the categories to block
+//   domains    - [{ domain, reason }] blocked whatever their category; a
+//                null reason allows the domain instead. Earlier entries win.
+// Category rules are ranked the way explainCategory() ranks them, so a
+// higher-ranked rule for a category that is not blocked (say a course
+// channel on a blocked video site) becomes an allow rule that wins over the
+// block. Domain entries beat every category rule.
+export function buildBlockRules(blocks, userRules, pageUrl) {
+    const condition = (regexFilter) => ({
+        regexFilter,
+        resourceTypes: ["main_frame"],
+    });
+    const toRule = (regexFilter, reason, priority) =>
+        reason
+            ? {
+                  priority,
+                  action: {
+                      type: "redirect",
+                      redirect: {
+                          regexSubstitution: blockPageUrl(
+                              pageUrl,
+                              reason,
+                              "\\0"
+                          ),
+                      },
+                  },
+                  condition: condition(regexFilter),
+              }
+            : {
+                  priority,
+                  action: { type: "allow" },
+                  condition: condition(regexFilter),
+              };
+
+    // Rules ranked below the lowest blocking one can never override it
+    const ranked = [...userRules, ...DEFAULT_RULES]
+        .filter((rule) => rule.enabled !== false)
+        .sort(compareRules);
+    let last = -1;
+    ranked.forEach((rule, index) => {
+        if (blocks.categories[rule.category]) last = index;
+    });
+    const relevant = ranked.slice(0, last + 1);
+
+    const rules = [];
+    relevant.forEach((rule, index) => {
+        const regex = ruleToRegex(rule);
+        if (!regex) return;
+        rules.push(
+            toRule(
+                regex,
+                blocks.categories[rule.category] || null,
+                relevant.length - index
+            )
+        );
+    });
+
+    blocks.domains.forEach(({ domain, reason }, index) => {
+        rules.push(
+            toRule(
+                ruleToRegex({ type: RULE_TYPES.SUFFIX, pattern: domain }),
+                reason,
+                relevant.length + blocks.domains.length - index
+            )
+        );
+    });
+
+    return rules;
+}
@@ -0,0 +1,163 @@
+/* global chrome */
+// Daily time limits per domain or per category. A limit looks like
+//
+//   { id, type: "domain" | "category", target, minutes, source }
+//
+// where `source` is "user" for limits set in Options and "dashboard" for
+// ones synced from the web dashboard's website settings. Limits live under
+// `timeLimits` in chrome.storage.local. Which limits were warned about or
+// reached today is kept by the background worker and starts over at local
+// midnight.
+import {
+    BLOCK_REASONS,
+    domainMatches,
+    normalizeDomain,
+} from "./siteBlocking.js";
+
+export const LIMITS_KEY = "timeLimits";
+
+export const LIMIT_TYPES = {
+    DOMAIN: "domain",
+    CATEGORY: "category",
+};
+
+// Share of a limit used before the warning notification
+export const LIMIT_WARNING_RATIO = 0.8;
+
+const MAX_LIMIT_MINUTES = 24 * 60;
+
+export function createLimitId() {
+    return `limit-${Date.now().toString(36)}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}`;
+}
+
+// Returns an error message, or null when `limit` can be saved
+export function validateLimit(limit, limits = []) {
+    if (!Object.values(LIMIT_TYPES).includes(limit.type)) {
+        return "Unknown limit type";
+    }
+    if (!limit.target) {
+        return limit.type === LIMIT_TYPES.DOMAIN
+            ? "Enter a domain"
+            : "Choose a category";
+    }
+    if (
+        !Number.isFinite(limit.minutes) ||
+        limit.minutes <= 0 ||
+        limit.minutes > MAX_LIMIT_MINUTES
+    ) {
+        return "Limits are between 1 minute and 24 hours";
+    }
+    if (
+        limits.some(
+            (other) =>
+                other.id !== limit.id &&
+                other.source === limit.source &&
+                other.type === limit.type &&
+                other.target === limit.target
+        )
+    ) {
+        return `There is already a limit for ${limit.target}`;
+    }
+    return null;
+}
+
+// Domain limits from the dashboard's `/dashboard/settings` websites, whose
+// `limit` is in minutes per day
+export function limitsFromDashboard(websites = []) {
+    return websites
+        .filter((site) => site?.name && Number(site.limit) > 0)
+        .map((site) => ({
+            id: `dashboard:${normalizeDomain(site.name)}`,
+            type: LIMIT_TYPES.DOMAIN,
+            target: normalizeDomain(site.name),
+            minutes: Math.min(Number(site.limit), MAX_LIMIT_MINUTES),
+            source: "dashboard",
+        }));
+}
+
+// Swap the previously synced dashboard limits for `dashboardLimits`. A
+// limit set in Options for the same domain wins over the dashboard's.
+export function mergeDashboardLimits(limits, dashboardLimits) {
+    const userLimits = limits.filter((limit) => limit.source !== "dashboard");
+    const userTargets = new Set(
+        userLimits.map((limit) => `${limit.type}:${limit.target}`)
+    );
+    return [
+        ...userLimits,
+        ...dashboardLimits.filter(
+            (limit) => !userTargets.has(`${limit.type}:${limit.target}`)
+        ),
+    ];
+}
+
+// Time used today against each limit. `usage` holds milliseconds per
+// hostname and per category: { domains: {...}, categories: {...} }.
+// Returns [{ limit, used, ratio }] with `used` in milliseconds.
+export function evaluateLimits(limits, usage) {
+    return limits.map((limit) => {
+        let used = 0;
+        if (limit.type === LIMIT_TYPES.CATEGORY) {
+            used = usage.categories[limit.target] || 0;
+        } else {
+            Object.entries(usage.domains).forEach(([hostname, time]) => {
+                if (domainMatches(hostname, limit.target)) used += time;
+            });
+        }
+        return { limit, used, ratio: used / (limit.minutes * 60 * 1000) };
+    });
+}
+
+// The reached limit that blocks `hostname` (categorized as `category`), or
+// null. `reached` holds the ids of limits reached today.
+export function findReachedLimit(limits, reached, hostname, category) {
+    return (
+        limits.find(
+            (limit) =>
+                reached.includes(limit.id) &&
+                (limit.type === LIMIT_TYPES.CATEGORY
+                    ? limit.target === category
+                    : domainMatches(hostname, limit.target))
+        ) || null
+    );
+}
+
+// What the reached limits block, in the form buildBlockRules() takes
+export function getLimitBlocks(limits, reached) {
+    const blocks = { categories: {}, domains: [] };
+    limits
+        .filter((limit) => reached.includes(limit.id))
+        .forEach((limit) => {
+            if (limit.type === LIMIT_TYPES.CATEGORY) {
+                blocks.categories[limit.target] = BLOCK_REASONS.LIMIT;
+            } else {
+                blocks.domains.push({
+                    domain: limit.target,
+                    reason: BLOCK_REASONS.LIMIT,
+                });
+            }
+        });
+    return blocks;
+}
+
+export async function loadLimits() {
+    const items = await chrome.storage.local.get([LIMITS_KEY]);
+    return Array.isArray(items[LIMITS_KEY]) ? items[LIMITS_KEY] : [];
+}
+
+export async function saveLimits(limits) {
+    await chrome.storage.local.set({ [LIMITS_KEY]: limits });
+    return limits;
+}
+
+// Call `callback(limits)` whenever limits change. Returns a function that
+// removes the listener.
+export function onLimitsChanged(callback) {
+    const listener = (changes, areaName) => {
+        if (areaName !== "local" || !changes[LIMITS_KEY]) return;
+        callback(changes[LIMITS_KEY].newValue || []);
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+}
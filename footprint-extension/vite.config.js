@@ -15,6 +15,7 @@ export default defineConfig({
             targets: [
                 { src: "src/popup/index.html", dest: "popup" },
                 { src: "src/options/index.html", dest: "options" },
+                { src: "src/blocked/index.html", dest: "blocked" },
             ],
         }),
     ],
@@ -26,6 +27,7 @@ export default defineConfig({
                 main: resolve(__dirname, "index.html"),
                 "popup/index": resolve(__dirname, "src/popup/index.html"),
                 "options/index": resolve(__dirname, "src/options/index.html"),
+                "blocked/index": resolve(__dirname, "src/blocked/index.html"),
                 "background/background-standalone": resolve(
                     __dirname,
                     "src/background/background-standalone.js"
@@ -1,5 +1,6 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 import { supabase } from './supabaseClient';
+import { pushSessionToExtension, revokeExtensionSession } from './extensionBridge';
 
 const AuthContext = createContext({
   user: null,
@@ -21,7 +22,15 @@ export const AuthProvider = ({ children }) => {
 
     const {
       data: { subscription },
-    } = supabase.auth.onAuthStateChange((_event, session) => {
+    } = supabase.auth.onAuthStateChange((event, session) => {
+      // Keep the browser extension signed in as the same user, and sign it
+      // out when the session ends here (including from another tab)
+      if (['INITIAL_SESSION', 'SIGNED_IN', 'TOKEN_REFRESHED'].includes(event)) {
+        pushSessionToExtension(session);
+      } else if (event === 'SIGNED_OUT') {
+        revokeExtensionSession();
+      }
+
       if (!mounted) return;
       setUser(session?.user ?? null);
       setLoading(false);
@@ -3,6 +3,7 @@ import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { Activity, Moon, Sun, Bell, User } from 'lucide-react';
 import { supabase } from '../supabaseClient';
 import { useAuth } from '../AuthContext';
+import { revokeExtensionSession } from '../extensionBridge';
 
 const Navbar = () => {
   const location = useLocation();
@@ -80,6 +81,8 @@ const Navbar = () => {
   };
 
   const handleSignOut = async () => {
+    // Sign the extension out too so it stops uploading as this user
+    await revokeExtensionSession();
     await supabase.auth.signOut();
     setShowSignOutModal(false);
     navigate('/auth');
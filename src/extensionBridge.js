@@ -0,0 +1,42 @@
+/* global chrome */
+
+// Messages to the Digital Footprint browser extension, which lists this site
+// under externally_connectable. Every call resolves to null when the
+// extension ID is not configured or the extension is not installed.
+const extensionId = import.meta.env.VITE_EXTENSION_ID;
+
+const sendToExtension = (message) =>
+  new Promise((resolve) => {
+    if (!extensionId || typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) {
+      resolve(null);
+      return;
+    }
+
+    try {
+      chrome.runtime.sendMessage(extensionId, message, (response) => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(response ?? null);
+      });
+    } catch {
+      resolve(null);
+    }
+  });
+
+// Hand the current Supabase session to the extension so it uploads as the
+// same user. Called after login and whenever supabase-js refreshes the token.
+export const pushSessionToExtension = (session) => {
+  if (!session?.access_token) return Promise.resolve(null);
+
+  return sendToExtension({
+    type: 'SET_SESSION',
+    session: {
+      access_token: session.access_token,
+      user: { email: session.user?.email ?? '' },
+    },
+  });
+};
+
+export const revokeExtensionSession = () => sendToExtension({ type: 'REVOKE_SESSION' });